@@ -16,6 +16,7 @@
  *  - Scenes and presets
  *  - Multi-room audio sync
  *  - Configurable polling interval
+ *  - Optional push updates from the bridge (webhooks)
  *  
  *  Version: 1.0.0
  *  
@@ -39,6 +40,7 @@ metadata {
         capability "Refresh"
         capability "Initialize"
         capability "MediaController"
+        capability "PresenceSensor"
         
         // Basic Navigation
         command "pressKey", [[name:"key*", type:"ENUM", constraints:[
@@ -53,6 +55,8 @@ metadata {
         command "back"
         command "home"
         command "menu"
+        command "holdKey", [[name:"key*", type:"STRING", description:"Key name, e.g. HOME, DPAD_RIGHT, POWER"], [name:"duration", type:"NUMBER", description:"Hold time in ms (leave empty to hold until releaseKey)"]]
+        command "releaseKey", [[name:"key*", type:"STRING", description:"Key name passed to holdKey"]]
         
         // Media Control
         command "play"
@@ -77,7 +81,7 @@ metadata {
         command "wakeUp"
         
         // Number Keys
-        command "sendDigit", [[name:"digit*", type:"NUMBER", description:"0-9"]]
+        command "sendDigit", [[name:"digit*", type:"NUMBER", description:"0-9, or a channel number such as 123"]]
         command "digit0"
         command "digit1"
         command "digit2"
@@ -127,8 +131,13 @@ metadata {
         command "buttonBlue"
         
         // App Control
-        command "launchApp", [[name:"appUrl*", type:"STRING"]]
+        command "launchApp", [[name:"appUrl*", type:"STRING", description:"Launch link, app name or package, e.g. Netflix or com.netflix.ninja"]]
         command "sendText", [[name:"text*", type:"STRING"]]
+        command "getUsage", [[name:"period", type:"ENUM", constraints:["day", "week"]]]
+        
+        // Parental Controls
+        command "parentalOverride", [[name:"minutes", type:"NUMBER", description:"Suspend this TV's parental rules for N minutes (default 30)"]]
+        command "endParentalOverride"
         
         // MediaController required commands
         command "getAllActivities"
@@ -138,10 +147,12 @@ metadata {
         // Pairing
         command "startPairing"
         command "completePairing", [[name:"code*", type:"STRING"]]
+        command "cancelPairing"
         command "unpair"
         
         // Connection
         command "checkBridge"
+        command "reconnect"
         command "showDiagnostics"
         command "getCurrentState"
         
@@ -151,12 +162,21 @@ metadata {
         command "deleteScene", [[name:"sceneName*", type:"STRING"]]
         command "listScenes"
         
+        // Sleep Timer
+        command "setSleepTimer", [[name:"minutes*", type:"NUMBER"], [name:"fadeMinutes", type:"NUMBER", description:"Fade volume out over the last N minutes"]]
+        command "cancelSleepTimer"
+        
         // Multi-Room Sync
         command "createSyncGroup", [[name:"groupName*", type:"STRING"], [name:"deviceIds*", type:"STRING"]]
         command "sendSyncCommand", [
             [name:"groupName*", type:"STRING"], 
-            [name:"commandType*", type:"ENUM", constraints:["key", "app", "volume"]], 
-            [name:"commandData*", type:"STRING"]
+            [name:"commandType*", type:"ENUM", constraints:["key", "app", "volume", "volumePercent", "volumeChange"]], 
+            [name:"commandData*", type:"STRING", description:"volume: TV steps, volumePercent: 0-100, volumeChange: +/- percent"]
+        ]
+        command "setSyncMirror", [
+            [name:"groupName*", type:"STRING"],
+            [name:"mirror*", type:"ENUM", constraints:["on", "off"]],
+            [name:"leader", type:"STRING", description:"Device ID the group follows (default: first device)"]
         ]
         command "deleteSyncGroup", [[name:"groupName*", type:"STRING"]]
         command "listSyncGroups"
@@ -165,23 +185,31 @@ metadata {
         attribute "volume", "number"
         attribute "muted", "string"
         attribute "connectionStatus", "string"
+        attribute "connectionState", "string"
+        attribute "tvPresence", "string"        // online, standby or offline, from the bridge's probes
         attribute "paired", "string"
         attribute "bridgeStatus", "string"
         attribute "currentApp", "string"
         attribute "currentActivity", "string"
         attribute "activities", "JSON_OBJECT"
+        attribute "usageMinutes", "number"
+        attribute "usedToday", "string"
         attribute "lastStateUpdate", "number"
     }
     
     preferences {
         input name: "deviceIP", type: "text", title: "Android TV IP Address", required: true
         input name: "deviceMAC", type: "text", title: "Android TV MAC Address (for Wake-on-LAN)", description: "Format: AA:BB:CC:DD:EE:FF", required: false
+        input name: "wolBroadcast", type: "text", title: "Wake-on-LAN Broadcast Address", description: "Subnet broadcast the bridge sends magic packets to, e.g. 192.168.1.255 (default 255.255.255.255)", required: false
         input name: "bridgeIP", type: "text", title: "Bridge Server IP", required: true
         input name: "bridgePort", type: "number", title: "Bridge Server Port", defaultValue: 3000
+        input name: "bridgeToken", type: "password", title: "Bridge API Key", description: "Only needed if the bridge has API authentication enabled", required: false
         input name: "deviceId", type: "text", title: "Device ID", description: "Unique ID for this TV", required: true
         input name: "deviceName", type: "text", title: "Device Name (for pairing)", defaultValue: "Hubitat"
+        input name: "deviceProfile", type: "enum", title: "TV Profile", description: "Which keys the TV honours and how inputs are switched", options: ["generic": "Generic Android TV", "sony": "Sony Bravia", "philips": "Philips", "shield": "NVIDIA Shield"], defaultValue: "generic"
         input name: "statusInterval", type: "number", title: "Status Check Interval (seconds)", description: "How often to query TV state (5-300 seconds)", defaultValue: 10, range: "5..300"
         input name: "autoConnect", type: "bool", title: "Auto-connect on Initialize", defaultValue: true
+        input name: "pushUpdates", type: "bool", title: "Receive push updates from bridge", description: "Bridge POSTs state changes to the hub (port 39501); polling drops to every 5 minutes. Device Network Id must be the bridge IP in hex - only one device per bridge can have it, any other TV keeps polling.", defaultValue: false
         input name: "logEnable", type: "bool", title: "Enable debug logging", defaultValue: true
         input name: "txtEnable", type: "bool", title: "Enable descriptionText logging", defaultValue: true
     }
@@ -279,6 +307,23 @@ metadata {
     "PROG_BLUE": 186       // Alias for BLUE
 ]
 
+// Common apps by launch link, offered while the bridge's catalog is empty or out of reach
+@Field static final List DEFAULT_ACTIVITIES = [
+    [id: "https://www.netflix.com/", name: "Netflix"],
+    [id: "vnd.youtube://", name: "YouTube"],
+    [id: "https://www.disneyplus.com/", name: "Disney+"],
+    [id: "spotify://", name: "Spotify"],
+    [id: "plex://", name: "Plex"],
+    [id: "https://app.primevideo.com/", name: "Prime Video"],
+    [id: "hulu://", name: "Hulu"],
+    [id: "hbomax://", name: "Max"],
+    [id: "https://www.paramountplus.com/", name: "Paramount+"],
+    [id: "https://tv.youtube.com/", name: "YouTube TV"],
+    [id: "https://www.peacocktv.com/", name: "Peacock"],
+    [id: "https://music.youtube.com/", name: "YouTube Music"],
+    [id: "pandora://", name: "Pandora"]
+]
+
 // Lifecycle
 def installed() {
     log.info "Android TV Remote (Bridge) driver installed"
@@ -319,14 +364,28 @@ def initialize() {
         // Just check status
         runIn(2, getStatus)
         
-        // Schedule periodic full status checks (configurable interval)
-        // This gets ALL state in one call: power, volume, mute, app
-        def interval = statusInterval ?: 10
-        def cronExpression = "0/${interval} * * * * ?"
-        schedule(cronExpression, getStatus)
+        // Apps the bridge has learned from this TV
+        runIn(10, getAllActivities)
         
-        log.warn "▶ INITIALIZE: ✓ Complete - Device is PAIRED and connected via bridge"
-        log.warn "▶ INITIALIZE: Status checks scheduled every ${interval} seconds"
+        if (pushUpdates && canReceivePushUpdates()) {
+            // Bridge pushes changes as they happen - keep a slow poll as a safety net
+            registerWebhook()
+            runEvery5Minutes(getStatus)
+            
+            log.warn "▶ INITIALIZE: ✓ Complete - Device is PAIRED and connected via bridge"
+            log.warn "▶ INITIALIZE: Push updates enabled, fallback status check every 5 minutes"
+        } else {
+            if (state.webhookId) unregisterWebhook()
+            
+            // Schedule periodic full status checks (configurable interval)
+            // This gets ALL state in one call: power, volume, mute, app
+            def interval = statusInterval ?: 10
+            def cronExpression = "0/${interval} * * * * ?"
+            schedule(cronExpression, getStatus)
+            
+            log.warn "▶ INITIALIZE: ✓ Complete - Device is PAIRED and connected via bridge"
+            log.warn "▶ INITIALIZE: Status checks scheduled every ${interval} seconds"
+        }
         
     } else {
         // No credentials - not paired
@@ -359,6 +418,11 @@ private String getBridgeUrl() {
     return "http://${bridgeIP}:${bridgePort}"
 }
 
+// Authorization header for bridges with API authentication enabled
+private Map getBridgeHeaders() {
+    return bridgeToken ? ["Authorization": "Bearer ${bridgeToken}"] : [:]
+}
+
 def checkBridge() {
     if (logEnable) log.debug "Checking bridge server"
     
@@ -383,20 +447,67 @@ def checkBridge() {
     }
 }
 
-private Map callBridge(String endpoint, Map body = null, String method = "POST") {
-    // Use longer timeout for pairing operations (30 seconds)
-    def timeout = endpoint.contains("/pair") ? 30 : 10
+// Ask the bridge to reconnect to the TV now instead of waiting for its next retry
+def reconnect() {
+    if (logEnable) log.debug "Requesting reconnect"
+    
+    def result = callBridge("/reconnect", [deviceId: deviceId])
+    
+    // A failed reconnect still reports where the connection ended up
+    if (result?.connection) {
+        sendEvent(name: "connectionState", value: result.connection.state)
+    }
+    if (result?.success) {
+        sendEvent(name: "connectionStatus", value: result.connected ? "connected" : "disconnected")
+        if (txtEnable) log.info "Reconnect: ${result.connection?.state}"
+    } else {
+        sendEvent(name: "connectionStatus", value: "disconnected")
+        log.error "Reconnect failed (${result?.code}): ${result?.error}"
+    }
+}
+
+// Hand our stored credentials to a bridge that no longer has them (data dir wiped, new host)
+def connectToDevice() {
+    if (!state.certificate || !state.privateKey) return
+
+    def result = callBridge("/connect", [
+        deviceId: deviceId,
+        host: deviceIP,
+        certificate: state.certificate,
+        privateKey: state.privateKey,
+        profile: deviceProfile ?: "generic",
+        mac: deviceMAC ?: null,
+        broadcast: wolBroadcast ?: null
+    ].findAll { it.value != null })
+
+    if (result?.connection) {
+        sendEvent(name: "connectionState", value: result.connection.state)
+    }
+    sendEvent(name: "connectionStatus", value: result?.success ? "connected" : "disconnected")
+    if (!result?.success) {
+        log.error "Connect failed (${result?.code}): ${result?.error}"
+    }
+}
+
+// Query parameters go in `query` - a '?' in the endpoint would be encoded into the path
+private Map callBridge(String endpoint, Map body = null, String method = "POST", Map query = null) {
+    // Use longer timeout for pairing and reconnect (30 seconds) and macros/batches, which may wait on the TV
+    def timeout = (endpoint.contains("/pair") || endpoint == "/reconnect") ? 30 : (endpoint in ["/scene/execute", "/batch", "/input", "/power/on"] ? 60 : 10)
     
     def params = [
         uri: getBridgeUrl(),
         path: endpoint,
         contentType: "application/json",
+        headers: getBridgeHeaders(),
         timeout: timeout
     ]
     
     if (body) {
         params.body = body
     }
+    if (query) {
+        params.query = query
+    }
     
     def result = null
     
@@ -411,6 +522,17 @@ private Map callBridge(String endpoint, Map body = null, String method = "POST")
             }
         }
         return result
+    } catch (groovyx.net.http.HttpResponseException e) {
+        // Error bodies carry a machine-readable code (DEVICE_NOT_CONNECTED, TIMEOUT, ...) to branch on
+        def data = e.response?.data instanceof Map ? e.response.data : [:]
+        if (e.statusCode == 401 || e.statusCode == 403) {
+            log.error "Bridge rejected ${endpoint} (HTTP ${e.statusCode}) - check the Bridge API Key preference"
+        } else if (e.statusCode in [404, 409, 503, 504]) {
+            log.warn "Bridge call ${endpoint}: ${data.code ?: "HTTP ${e.statusCode}"} - ${data.error ?: e.message}"
+        } else {
+            log.error "Bridge call failed (${endpoint}): ${e.message}"
+        }
+        return data + [success: false, error: data.error ?: e.message, code: data.code, httpStatus: e.statusCode]
     } catch (Exception e) {
         log.error "Bridge call failed (${endpoint}): ${e.message}"
         return [success: false, error: e.message]
@@ -445,6 +567,13 @@ def getStatus() {
     if (logEnable) log.debug "Bridge returned: ${result}"
     
     if (result?.success) {
+        if (result.connection) {
+            sendEvent(name: "connectionState", value: result.connection.state)
+        }
+        if (result.presence) {
+            updatePresence(result.presence.state)
+        }
+        
         if (result.connected) {
             sendEvent(name: "connectionStatus", value: "connected", isStateChange: true)
             if (logEnable) log.debug "Status: Connected"
@@ -486,16 +615,7 @@ def getStatus() {
                     sendEvent(name: "currentApp", value: result.state.currentApp, isStateChange: true)
                     
                     // Also update currentActivity for MediaController
-                    def activityName = result.state.currentApp
-                    if (activityName.contains("tvlauncher")) activityName = "Home"
-                    else if (activityName.contains("netflix")) activityName = "Netflix"
-                    else if (activityName.contains("youtube") && !activityName.contains("music")) activityName = "YouTube"
-                    else if (activityName.contains("disney")) activityName = "Disney+"
-                    else if (activityName.contains("spotify")) activityName = "Spotify"
-                    else if (activityName.contains("plex")) activityName = "Plex"
-                    else if (activityName.contains("hulu")) activityName = "Hulu"
-                    else if (activityName.contains("hbo")) activityName = "HBO Max"
-                    else if (activityName.contains("primevideo") || activityName.contains("amazon")) activityName = "Prime Video"
+                    def activityName = activityNameFor(result.state.currentApp)
                     
                     sendEvent(name: "currentActivity", value: activityName, isStateChange: true)
                     if (logEnable) log.debug "✓ App updated: ${result.state.currentApp} → Activity: ${activityName}"
@@ -515,6 +635,11 @@ def getStatus() {
             sendEvent(name: "connectionStatus", value: "disconnected")
             if (logEnable) log.debug "Status: Disconnected"
         }
+    } else if (result?.code == "DEVICE_NOT_FOUND") {
+        // Bridge lost its credentials (or never had them) - push ours back with a connect
+        log.warn "Bridge does not know ${deviceId} - reconnecting with stored credentials"
+        sendEvent(name: "connectionStatus", value: "disconnected")
+        runIn(1, connectToDevice)
     } else {
         log.warn "✗ Bridge call failed or returned error: ${result}"
         // If we can't get status but bridge is online, assume disconnected
@@ -524,6 +649,146 @@ def getStatus() {
     }
 }
 
+// A TV in standby is still on the network, so only 'offline' counts as not present
+private void updatePresence(String presence) {
+    if (!presence || presence == "unknown") return
+    
+    sendEvent(name: "tvPresence", value: presence)
+    sendEvent(name: "presence", value: presence == "offline" ? "not present" : "present")
+}
+
+// Map a package name to a friendly MediaController activity name
+private String activityNameFor(String app) {
+    if (app.contains("tvlauncher")) return "Home"
+    if (app.contains("netflix")) return "Netflix"
+    if (app.contains("youtube") && !app.contains("music")) return "YouTube"
+    if (app.contains("disney")) return "Disney+"
+    if (app.contains("spotify")) return "Spotify"
+    if (app.contains("plex")) return "Plex"
+    if (app.contains("hulu")) return "Hulu"
+    if (app.contains("hbo")) return "HBO Max"
+    if (app.contains("primevideo") || app.contains("amazon")) return "Prime Video"
+    return app
+}
+
+// ====================
+// Push Updates (Webhooks)
+// ====================
+
+// The hub hands LAN messages from the bridge only to the device whose Network Id is the bridge
+// IP in hex, so only one TV per bridge can take push updates - the others keep polling
+private boolean canReceivePushUpdates() {
+    if (!(bridgeIP ==~ /\d{1,3}(\.\d{1,3}){3}/)) {
+        log.warn "Push updates need the Bridge Server IP as an IPv4 address - using polling instead"
+        return false
+    }
+    def bridgeHex = bridgeIP.tokenize(".").collect { String.format("%02X", it as int) }.join()
+    if (device.deviceNetworkId?.toUpperCase()?.startsWith(bridgeHex)) {
+        return true
+    }
+    log.warn "Push updates need this device's Network Id to be ${bridgeHex} (the bridge IP in hex) - using polling instead"
+    return false
+}
+
+def registerWebhook() {
+    def hubIP = location.hub.localIP
+    def url = "http://${hubIP}:39501/"
+    
+    if (logEnable) log.debug "Registering webhook ${url} with bridge"
+    
+    def result = callBridge("/webhook/register", [
+        deviceId: deviceId,
+        url: url
+    ])
+    
+    if (result?.success) {
+        state.webhookId = result.webhookId
+        if (txtEnable) log.info "Push updates registered with bridge (${result.webhookId})"
+        state.remove("lastPushSequence")
+        state.remove("lastPushAt")
+    } else {
+        log.error "Failed to register webhook: ${result?.error}"
+    }
+}
+
+def unregisterWebhook() {
+    if (logEnable) log.debug "Removing webhook ${state.webhookId} from bridge"
+    
+    def params = [
+        uri: getBridgeUrl(),
+        path: "/webhook/${state.webhookId}",
+        headers: getBridgeHeaders(),
+        timeout: 10
+    ]
+    
+    try {
+        httpDelete(params) { resp ->
+            if (txtEnable) log.info "Push updates unregistered from bridge"
+        }
+    } catch (Exception e) {
+        log.warn "Failed to unregister webhook: ${e.message}"
+    }
+    
+    state.remove("webhookId")
+}
+
+// Incoming LAN messages - state diffs pushed by the bridge
+def parse(String description) {
+    def msg = parseLanMessage(description)
+    def body = msg?.json
+    
+    if (!body || body.deviceId != deviceId) {
+        if (logEnable) log.debug "Ignoring LAN message: ${description}"
+        return
+    }
+    
+    if (body.event != "state_changed" || !body.changes) {
+        return
+    }
+    
+    // Each delivery is retried on its own, so an older diff can arrive after a newer one.
+    // Sequences restart with the bridge; the timestamp tells a restart from a late retry.
+    if (state.lastPushSequence != null && body.sequence <= state.lastPushSequence && body.timestamp <= state.lastPushAt) {
+        if (logEnable) log.debug "Ignoring stale push update #${body.sequence} (already at #${state.lastPushSequence})"
+        return
+    }
+    state.lastPushSequence = body.sequence
+    state.lastPushAt = body.timestamp
+    
+    if (logEnable) log.debug "Push update #${body.sequence}: ${body.changes}"
+    
+    body.changes.each { attribute, change ->
+        def value = change.to
+        switch (attribute) {
+            case "connected":
+                sendEvent(name: "connectionStatus", value: value ? "connected" : "disconnected")
+                break
+            case "powerState":
+                sendEvent(name: "power", value: value)
+                sendEvent(name: "switch", value: value == "on" ? "on" : "off")
+                break
+            case "presence":
+                updatePresence(value)
+                break
+            case "volume":
+                sendEvent(name: "volume", value: value)
+                sendEvent(name: "level", value: value)
+                break
+            case "muted":
+                sendEvent(name: "muted", value: value ? "muted" : "unmuted")
+                break
+            case "currentApp":
+                if (value) {
+                    sendEvent(name: "currentApp", value: value)
+                    sendEvent(name: "currentActivity", value: activityNameFor(value))
+                }
+                break
+        }
+    }
+    
+    sendEvent(name: "lastStateUpdate", value: now())
+}
+
 def getPowerState() {
     if (logEnable) log.debug "Querying power state from bridge"
     
@@ -579,6 +844,8 @@ def startPairing() {
         if (result.code) {
             log.warn "Bridge received code: ${result.code}"
         }
+    } else if (result?.code == "PAIRING_IN_PROGRESS") {
+        log.warn "Pairing already in progress - enter the code shown on the TV, or use cancelPairing and start again"
     } else {
         log.error "Pairing start failed: ${result?.error}"
         sendEvent(name: "paired", value: "false")
@@ -627,6 +894,12 @@ def completePairing(String code) {
             log.warn "▶ RETRY: paired is now ${device.currentValue('paired')}"
         }
         
+    } else if (result?.code == "INVALID_PAIRING_CODE" && result.details?.attemptsLeft) {
+        // The bridge already asked the TV for a new code - the session stays open
+        log.warn "✗ PAIRING: Wrong code - enter the NEW code now shown on the TV (${result.details.attemptsLeft} attempt(s) left)"
+    } else if (result?.code == "PAIRING_EXPIRED") {
+        log.error "✗ PAIRING EXPIRED: No code was entered in time - use startPairing again"
+        sendEvent(name: "paired", value: "false", isStateChange: true)
     } else {
         log.error "✗ PAIRING FAILED: ${result?.error}"
         sendEvent(name: "paired", value: "false", isStateChange: true)
@@ -634,6 +907,24 @@ def completePairing(String code) {
     }
 }
 
+def cancelPairing() {
+    def result = callBridge("/pair/cancel", [
+        deviceId: deviceId
+    ])
+    
+    if (result?.success) {
+        log.warn "Pairing cancelled"
+    } else if (result?.code == "NO_PAIRING_SESSION") {
+        log.warn "No pairing in progress"
+    } else {
+        log.error "Cancel pairing failed: ${result?.error}"
+    }
+    
+    if (device.currentValue("paired") == "pairing") {
+        sendEvent(name: "paired", value: state.certificate ? "true" : "false")
+    }
+}
+
 def unpair() {
     if (logEnable) log.debug "Unpairing device"
     
@@ -741,23 +1032,16 @@ def setVolume(volume) {
     
     if (logEnable) log.debug "Current volume: ${currentVolume}, Target: ${targetVol}, Steps: ${steps}"
     
-    if (steps > 0) {
-        steps.times { 
-            volumeUp()
-            pauseExecution(150)  // Increased from 100ms
-        }
-    } else if (steps < 0) {
-        Math.abs(steps).times { 
-            volumeDown()
-            pauseExecution(150)  // Increased from 100ms
-        }
+    // All steps in one bridge call; the final wait lets the TV report its real level,
+    // which comes back in the batch result
+    def batch = []
+    if (steps != 0) {
+        def keyName = steps > 0 ? "VOLUME_UP" : "VOLUME_DOWN"
+        batch << [type: "key", keyCode: KEY_CODES[keyName], keyName: keyName, repeat: Math.abs(steps), interval: 150]
     }
+    batch << [type: "wait", ms: 500]
     
-    // Wait for TV to settle
-    pauseExecution(500)
-    
-    // Get actual volume from TV via bridge
-    def result = callBridge("/status/${deviceId}", null, "GET")
+    def result = sendBatch(batch)
     
     if (result?.success && result.state?.volume != null) {
         def actualVolume = result.state.volume
@@ -788,6 +1072,33 @@ def pressKey(String keyName) {
     sendKey(KEY_CODES[keyName], keyName)
 }
 
+// Long-press a key for `duration` ms, or hold it until releaseKey() when no duration is given.
+// The bridge releases a held key by itself after its maxKeyHold timeout.
+def holdKey(String keyName, duration = null) {
+    if (!KEY_CODES.containsKey(keyName)) {
+        log.error "Unknown key: ${keyName}"
+        return
+    }
+    
+    if (duration) {
+        sendKey(KEY_CODES[keyName], keyName, [mode: "long", holdDuration: duration as int])
+        if (txtEnable) log.info "Long-pressed ${keyName} for ${duration}ms"
+    } else {
+        sendKey(KEY_CODES[keyName], keyName, [mode: "start"])
+        if (txtEnable) log.info "Holding ${keyName}"
+    }
+}
+
+def releaseKey(String keyName) {
+    if (!KEY_CODES.containsKey(keyName)) {
+        log.error "Unknown key: ${keyName}"
+        return
+    }
+    
+    sendKey(KEY_CODES[keyName], keyName, [mode: "end"])
+    if (txtEnable) log.info "Released ${keyName}"
+}
+
 def dpadUp() { pressKey("DPAD_UP") }
 def dpadDown() { pressKey("DPAD_DOWN") }
 def dpadLeft() { pressKey("DPAD_LEFT") }
@@ -839,35 +1150,47 @@ def sleep() {
 def wakeUp() {
     if (logEnable) log.debug "Attempting to wake TV"
     
-    // Try Wake-on-LAN first if MAC address is configured
-    if (deviceMAC) {
-        if (logEnable) log.debug "Sending Wake-on-LAN magic packet to ${deviceMAC}"
-        sendWOL(deviceMAC)
-        pauseExecution(1000)
-    }
+    // The bridge sends the magic packet, waits for the TV's remote service to come back
+    // and then sends WAKEUP - a TV in deep standby can't be reached by keys alone
+    def body = [deviceId: deviceId]
+    if (deviceMAC) body.mac = deviceMAC
+    if (wolBroadcast) body.broadcast = wolBroadcast
     
-    // Method 1: Send POWER key (works if TV is in light sleep)
-    pressKey("POWER")
-    pauseExecution(500)
+    def result = callBridge("/power/on", body)
+    def steps = result?.steps?.collect { "${it.step} ${it.status}" }?.join(", ")
     
-    // Method 2: Send HOME key (often more reliable for Android TV)
-    pressKey("HOME")
+    if (result?.success) {
+        sendEvent(name: "switch", value: "on")
+        sendEvent(name: "power", value: "on")
+        if (txtEnable) log.info "TV powered on (${steps})"
+        return
+    }
     
-    // Update state optimistically
-    sendEvent(name: "switch", value: "on")
-    sendEvent(name: "power", value: "on")
+    log.error "Power on failed (${result?.code}): ${result?.error}${steps ? " [${steps}]" : ""}"
     
-    if (txtEnable) log.info "Wake commands sent to TV"
+    // The bridge could not broadcast (e.g. Docker bridge network) - try from the hub instead
+    if (deviceMAC && result?.steps?.find { it.step == "wol" }?.status == "failed") {
+        sendWOL(deviceMAC)
+    }
 }
 
 // Number Keys
 def sendDigit(digit) {
-    def digitNum = digit as int
-    if (digitNum < 0 || digitNum > 9) {
-        log.error "Digit must be 0-9, got: ${digitNum}"
+    def number = digit as long
+    if (number < 0) {
+        log.error "Digit must be 0-9 or a channel number, got: ${number}"
+        return
+    }
+    
+    def digits = number.toString()
+    if (digits.length() == 1) {
+        pressKey("NUM_${digits}")
         return
     }
-    pressKey("NUM_${digitNum}")
+    
+    // Multi-digit channel numbers go to the bridge as one batch
+    sendBatch(digits.collect { [type: "key", keyCode: KEY_CODES["NUM_${it}"], keyName: "NUM_${it}", delay: 150] })
+    if (txtEnable) log.info "Entered ${digits}"
 }
 
 def digit0() { pressKey("NUM_0") }
@@ -931,51 +1254,41 @@ def audioTrack() {
     if (txtEnable) log.info "Audio track selection"
 }
 
-// Direct Input Selection (242-250)
+// Direct Input Selection (242-250, or the TV's recorded sequence - see switchToInput)
 def inputAntenna() {
-    // TV Tuner/Antenna/Cable input
-    pressKey("TV_ANTENNA_CABLE")
-    if (txtEnable) log.info "Switched to TV Tuner/Antenna/Cable"
+    switchToInput("Antenna")
 }
 
 def inputHdmi1() {
-    pressKey("TV_INPUT_HDMI_1")
-    if (txtEnable) log.info "Switched to HDMI 1"
+    switchToInput("HDMI1")
 }
 
 def inputHdmi2() {
-    pressKey("TV_INPUT_HDMI_2")
-    if (txtEnable) log.info "Switched to HDMI 2"
+    switchToInput("HDMI2")
 }
 
 def inputHdmi3() {
-    pressKey("TV_INPUT_HDMI_3")
-    if (txtEnable) log.info "Switched to HDMI 3"
+    switchToInput("HDMI3")
 }
 
 def inputHdmi4() {
-    pressKey("TV_INPUT_HDMI_4")
-    if (txtEnable) log.info "Switched to HDMI 4"
+    switchToInput("HDMI4")
 }
 
 def inputComposite1() {
-    pressKey("TV_INPUT_COMPOSITE_1")
-    if (txtEnable) log.info "Switched to Composite/AV 1"
+    switchToInput("Composite1")
 }
 
 def inputComponent1() {
-    pressKey("TV_INPUT_COMPONENT_1")
-    if (txtEnable) log.info "Switched to Component 1"
+    switchToInput("Component1")
 }
 
 def inputComponent2() {
-    pressKey("TV_INPUT_COMPONENT_2")
-    if (txtEnable) log.info "Switched to Component 2"
+    switchToInput("Component2")
 }
 
 def inputVga() {
-    pressKey("TV_INPUT_VGA_1")
-    if (txtEnable) log.info "Switched to VGA/PC"
+    switchToInput("VGA")
 }
 
 def audioDescription() {
@@ -984,28 +1297,18 @@ def audioDescription() {
     if (txtEnable) log.info "Audio Description toggle"
 }
 
-// Convenience function to switch by name
+// Switch by name. The bridge resolves the input through the TV's profile: the direct
+// key where the TV honours it, otherwise a menu sequence recorded with /input/record.
 def switchToInput(String inputName) {
-    def inputMap = [
-        "Antenna": "TV_ANTENNA_CABLE",
-        "HDMI1": "TV_INPUT_HDMI_1",
-        "HDMI2": "TV_INPUT_HDMI_2",
-        "HDMI3": "TV_INPUT_HDMI_3",
-        "HDMI4": "TV_INPUT_HDMI_4",
-        "Composite1": "TV_INPUT_COMPOSITE_1",
-        "Component1": "TV_INPUT_COMPONENT_1",
-        "Component2": "TV_INPUT_COMPONENT_2",
-        "VGA": "TV_INPUT_VGA_1"
-    ]
+    def result = callBridge("/input", [deviceId: deviceId, input: inputName])
     
-    def keyCode = inputMap[inputName]
-    if (!keyCode) {
-        log.error "Unknown input: ${inputName}. Valid: Antenna, HDMI1, HDMI2, HDMI3, HDMI4, Composite1, Component1, Component2, VGA"
-        return
+    if (result?.success) {
+        if (txtEnable) log.info "Switched to ${inputName} (${result.strategy})"
+    } else if (result?.code == "INPUT_UNSUPPORTED") {
+        log.warn "${result.error}"
+    } else {
+        log.error "Failed to switch to ${inputName}: ${result?.error}"
     }
-    
-    pressKey(keyCode)
-    if (txtEnable) log.info "Switched to ${inputName}"
 }
 
 // Brightness controls
@@ -1158,13 +1461,20 @@ def launchApp(String appUrl) {
     
     if (logEnable) log.debug "Launching app: ${appUrl}"
     
-    def result = callBridge("/app/launch", [
-        deviceId: deviceId,
-        appUrl: appUrl
-    ])
+    // Links go through as they are; names and packages are looked up in the bridge's app catalog
+    def body = [deviceId: deviceId]
+    if (appUrl.contains("://")) {
+        body.appUrl = appUrl
+    } else {
+        body.app = appUrl
+    }
+    
+    def result = callBridge("/app/launch", body)
     
     if (result?.success) {
         if (txtEnable) log.info "Launched app: ${appUrl}"
+    } else if (result?.code == "APP_NOT_FOUND") {
+        log.warn "Unknown app '${appUrl}' - run getAllActivities to see the apps this TV has reported"
     } else {
         log.error "Failed to launch app: ${result?.error}"
     }
@@ -1190,28 +1500,74 @@ def sendText(String text) {
     }
 }
 
+// Watch time from the bridge's app history
+def getUsage(String period = "day") {
+    def result = callBridge("/history/${deviceId}/summary", null, "GET", [period: period ?: "day"])
+    
+    if (!result?.success) {
+        log.error "Failed to get usage: ${result?.error}"
+        return
+    }
+    
+    sendEvent(name: "usageMinutes", value: result.minutes, unit: "min", descriptionText: "${result.minutes} minutes this ${result.period}")
+    if (result.period == "day" || result.days?.find { it.date == result.date }) {
+        def today = result.period == "day" ? result.used : result.days.find { it.date == result.date }.used
+        sendEvent(name: "usedToday", value: today ? "true" : "false")
+    }
+    
+    if (txtEnable) {
+        log.info "Usage this ${result.period}: ${result.minutes} min"
+        result.apps?.each { app ->
+            log.info "  - ${app.name}: ${app.minutes} min (${app.sessions} session(s))"
+        }
+    }
+}
+
+// Parental Controls
+def parentalOverride(minutes = 30) {
+    def result = callBridge("/parental/override", [
+        deviceId: deviceId,
+        minutes: (minutes ?: 30) as int
+    ])
+    
+    if (result?.success) {
+        if (txtEnable) log.info "Parental rules suspended for ${minutes ?: 30} minutes"
+    } else if (result?.code == "PARENTAL_RULES_NOT_FOUND") {
+        log.warn "No parental rules set for this TV on the bridge"
+    } else {
+        log.error "Failed to override parental rules: ${result?.error}"
+    }
+}
+
+def endParentalOverride() {
+    def result = callBridge("/parental/override/${deviceId}", null, "DELETE")
+    
+    if (result?.success) {
+        if (txtEnable) log.info "Parental rules apply again"
+    } else {
+        log.error "Failed to end parental override: ${result?.error}"
+    }
+}
+
 // ====================
 // MediaController Required Commands
 // ====================
 
 def getAllActivities() {
-    // Return list of known apps/activities
-    // This is a static list of common Android TV apps
-    def activities = [
-        [id: "https://www.netflix.com/", name: "Netflix"],
-        [id: "vnd.youtube://", name: "YouTube"],
-        [id: "https://www.disneyplus.com/", name: "Disney+"],
-        [id: "spotify://", name: "Spotify"],
-        [id: "plex://", name: "Plex"],
-        [id: "https://app.primevideo.com/", name: "Prime Video"],
-        [id: "hulu://", name: "Hulu"],
-        [id: "hbomax://", name: "HBO Max"],
-        [id: "https://www.paramountplus.com/", name: "Paramount+"],
-        [id: "https://tv.youtube.com/", name: "YouTube TV"],
-        [id: "https://www.peacocktv.com/", name: "Peacock"],
-        [id: "https://music.youtube.com/", name: "YouTube Music"],
-        [id: "pandora://", name: "Pandora"]
-    ]
+    // Apps the bridge has seen on this TV (or that were added to its catalog)
+    def result = callBridge("/apps/${deviceId}", null, "GET")
+    
+    def activities = []
+    if (result?.success) {
+        activities = result.apps.findAll { it.launchUri }.collect { [id: it.package, name: it.name] }
+    } else {
+        log.warn "Could not get app catalog from bridge: ${result?.error}"
+    }
+    
+    // Nothing learned yet (e.g. just paired) - launch links for the common apps still work
+    if (!activities) {
+        activities = DEFAULT_ACTIVITIES
+    }
     
     if (logEnable) log.debug "Returning ${activities.size()} available activities"
     
@@ -1240,17 +1596,8 @@ def getCurrentActivity() {
         log.warn "Could not get current app from bridge, using cached: ${currentApp}"
     }
     
-    // Map package name to friendly name
-    def activityName = currentApp
-    if (currentApp.contains("netflix")) activityName = "Netflix"
-    else if (currentApp.contains("youtube") && !currentApp.contains("music")) activityName = "YouTube"
-    else if (currentApp.contains("disney")) activityName = "Disney+"
-    else if (currentApp.contains("spotify")) activityName = "Spotify"
-    else if (currentApp.contains("plex")) activityName = "Plex"
-    else if (currentApp.contains("amazon") || currentApp.contains("primevideo")) activityName = "Prime Video"
-    else if (currentApp.contains("hulu")) activityName = "Hulu"
-    else if (currentApp.contains("hbo")) activityName = "HBO Max"
-    else if (currentApp.contains("tvlauncher")) activityName = "Home Screen"
+    // Friendly name from the bridge's app catalog
+    def activityName = result?.state?.currentAppName ?: currentApp
     
     // Update currentActivity attribute
     sendEvent(name: "currentActivity", value: activityName)
@@ -1269,79 +1616,25 @@ def startActivity(String activityId) {
     
     if (logEnable) log.debug "Starting activity: ${activityId}"
     
-    // If activityId is a deep link, use it directly
-    // Otherwise, it might be a friendly name, so map it
-    def appUrl = activityId
-    
-    // Map friendly names to deep links
-    switch(activityId.toLowerCase()) {
-        case "netflix":
-            appUrl = "https://www.netflix.com/"
-            break
-        case "youtube":
-            appUrl = "vnd.youtube://"
-            break
-        case "disney+":
-        case "disney plus":
-        case "disneyplus":
-            appUrl = "https://www.disneyplus.com/"
-            break
-        case "spotify":
-            appUrl = "spotify://"
-            break
-        case "plex":
-            appUrl = "plex://"
-            break
-        case "prime video":
-        case "prime":
-            appUrl = "https://app.primevideo.com/"
-            break
-        case "hulu":
-            appUrl = "hulu://"
-            break
-        case "hbo max":
-        case "hbo":
-            appUrl = "hbomax://"
-            break
-        case "paramount+":
-        case "paramount":
-            appUrl = "https://www.paramountplus.com/"
-            break
-        case "youtube tv":
-            appUrl = "https://tv.youtube.com/"
-            break
-        case "peacock":
-            appUrl = "https://www.peacocktv.com/"
-            break
-        case "youtube music":
-            appUrl = "https://music.youtube.com/"
-            break
-        case "pandora":
-            appUrl = "pandora://"
-            break
-        default:
-            // Assume it's already a deep link
-            appUrl = activityId
-    }
-    
-    launchApp(appUrl)
+    // Activity IDs are packages from getAllActivities; names and deep links work too
+    launchApp(activityId)
 }
 
 // Send key via bridge
-private sendKey(int keyCode, String keyName) {
-    if (logEnable) log.debug "Sending key: ${keyName} (${keyCode})"
+private sendKey(int keyCode, String keyName, Map options = [:]) {
+    if (logEnable) log.debug "Sending key: ${keyName} (${keyCode}) ${options ?: ''}"
     
     def result = callBridge("/key", [
         deviceId: deviceId,
         keyCode: keyCode,
         keyName: keyName
-    ])
+    ] + options)
     
     if (!result?.success) {
         log.error "Failed to send key: ${result?.error}"
         
         // If not connected, update status
-        if (result?.error?.contains("not connected")) {
+        if (result?.code in ["DEVICE_NOT_CONNECTED", "DEVICE_UNPAIRED", "TV_UNREACHABLE"]) {
             sendEvent(name: "connectionStatus", value: "disconnected")
             log.error "Bridge lost connection - bridge may have restarted"
             log.error "Try: unpair() then re-pair, OR restart bridge and driver"
@@ -1349,6 +1642,28 @@ private sendKey(int keyCode, String keyName) {
     }
 }
 
+// Send a sequence of key/app/text/wait steps in one bridge call. The bridge runs them in
+// order with each step's delay and returns a result per step plus the TV state afterwards.
+private Map sendBatch(List steps, boolean stopOnError = true) {
+    if (logEnable) log.debug "Sending batch: ${steps}"
+    
+    def result = callBridge("/batch", [
+        deviceId: deviceId,
+        steps: steps,
+        stopOnError: stopOnError
+    ])
+    
+    if (!result?.success) {
+        log.error "Batch failed${result?.failedStep ? " at step ${result.failedStep}" : ""}: ${result?.error}"
+        
+        if (result?.code in ["DEVICE_NOT_CONNECTED", "DEVICE_UNPAIRED", "TV_UNREACHABLE"]) {
+            sendEvent(name: "connectionStatus", value: "disconnected")
+        }
+    }
+    
+    return result
+}
+
 // ====================
 // Scenes/Presets
 // ====================
@@ -1400,7 +1715,7 @@ def executeScene(String sceneName) {
         // Update status after scene execution
         runIn(2, getStatus)
     } else {
-        log.error "Failed to execute scene: ${result?.error}"
+        log.error "Failed to execute scene${result?.failedStep ? " at step ${result.failedStep}" : ""}: ${result?.error}"
     }
 }
 
@@ -1415,6 +1730,7 @@ def deleteScene(String sceneName) {
     def params = [
         uri: getBridgeUrl(),
         path: "/scene/${sceneName}",
+        headers: getBridgeHeaders(),
         timeout: 10
     ]
     
@@ -1446,6 +1762,53 @@ def listScenes() {
     }
 }
 
+// ====================
+// Sleep Timer
+// ====================
+
+def setSleepTimer(minutes, fadeMinutes = null) {
+    if (!minutes) {
+        log.error "Sleep timer minutes required"
+        return
+    }
+    
+    if (logEnable) log.debug "Setting sleep timer: ${minutes} min${fadeMinutes ? ", fade ${fadeMinutes} min" : ""}"
+    
+    def body = [deviceId: deviceId, minutes: minutes]
+    if (fadeMinutes) {
+        body.fadeMinutes = fadeMinutes
+    }
+    
+    def result = callBridge("/sleep-timer/set", body)
+    
+    if (result?.success) {
+        if (txtEnable) log.info "Sleep timer set for ${minutes} minutes"
+    } else {
+        log.error "Failed to set sleep timer: ${result?.error}"
+    }
+}
+
+def cancelSleepTimer() {
+    if (logEnable) log.debug "Cancelling sleep timer"
+    
+    def params = [
+        uri: getBridgeUrl(),
+        path: "/sleep-timer/${deviceId}",
+        headers: getBridgeHeaders(),
+        timeout: 10
+    ]
+    
+    try {
+        httpDelete(params) { resp ->
+            if (resp.status == 200 && resp.data?.success) {
+                if (txtEnable) log.info "Sleep timer cancelled"
+            }
+        }
+    } catch (Exception e) {
+        log.error "Failed to cancel sleep timer: ${e.message}"
+    }
+}
+
 // ====================
 // Multi-Room Sync
 // ====================
@@ -1494,6 +1857,10 @@ def sendSyncCommand(String groupName, String commandType, String commandData) {
         command.appUrl = commandData
     } else if (commandType == "volume") {
         command.volume = commandData as int
+    } else if (commandType == "volumePercent") {
+        command = [type: "volume", level: commandData as int]
+    } else if (commandType == "volumeChange") {
+        command = [type: "volume", change: commandData as int]
     } else {
         log.error "Invalid command type: ${commandType}"
         return
@@ -1514,11 +1881,37 @@ def sendSyncCommand(String groupName, String commandType, String commandData) {
                 log.debug "  [${status}] ${r.deviceId}: ${r.error ?: 'Success'}"
             }
         }
+    } else if (result?.results) {
+        // Some members failed - the others may have been rolled back
+        log.warn "Sync command incomplete on group '${groupName}': ${result.error ?: result.message}"
+        result.results.findAll { !it.success }.each { r ->
+            log.warn "  [FAIL] ${r.deviceId}: ${r.error}"
+        }
     } else {
         log.error "Failed to send sync command: ${result?.error}"
     }
 }
 
+def setSyncMirror(String groupName, String mirror, String leader = null) {
+    if (!groupName) {
+        log.error "Group name required"
+        return
+    }
+    
+    def body = [groupName: groupName, mirror: mirror == "on"]
+    if (leader) {
+        body.leader = leader.trim()
+    }
+    
+    def result = callBridge("/sync/update", body)
+    
+    if (result?.success) {
+        if (txtEnable) log.info "Sync group '${groupName}': mirror ${mirror}${result.group?.mirror ? " (following ${result.group.leader})" : ''}"
+    } else {
+        log.error "Failed to update sync group: ${result?.error}"
+    }
+}
+
 def deleteSyncGroup(String groupName) {
     if (!groupName) {
         log.error "Group name required"
@@ -1530,6 +1923,7 @@ def deleteSyncGroup(String groupName) {
     def params = [
         uri: getBridgeUrl(),
         path: "/sync/${groupName}",
+        headers: getBridgeHeaders(),
         timeout: 10
     ]
     
@@ -1552,7 +1946,8 @@ def listSyncGroups() {
     if (result?.success) {
         log.info "Sync groups (${result.count}):"
         result.groups?.each { group ->
-            log.info "  - ${group.name}: ${group.devices.join(', ')}"
+            def mirror = group.mirror ? " (mirroring ${group.leader})" : ""
+            log.info "  - ${group.name}: ${group.devices.join(', ')}${mirror}"
         }
         return result.groups
     } else {
@@ -16,7 +16,7 @@
  * Version: 1.0.0
  * 
  * Installation:
- * npm install express body-parser androidtv-remote
+ * npm install express body-parser androidtv-remote bonjour-service
  * 
  * Usage:
  * node androidtv-bridge.js
@@ -31,8 +31,16 @@ const bodyParser = require('body-parser');
 const AndroidRemote = require('androidtv-remote').AndroidRemote;
 const RemoteKeyCode = require('androidtv-remote').RemoteKeyCode;
 const RemoteDirection = require('androidtv-remote').RemoteDirection;
+const { Bonjour } = require('bonjour-service');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const https = require('https');
+const dgram = require('dgram');
+const net = require('net');
+const { execFile } = require('child_process');
 
 const app = express();
 
@@ -41,19 +49,46 @@ let config = {
     port: 3000,
     keepaliveInterval: 30,
     reconnectDelay: 5,
-    minReconnectInterval: 30,
-    activityTimeout: 60,
-    statePollInterval: 10
+    reconnectMaxDelay: 300,
+    reconnectMaxAttempts: 0,
+    statePollInterval: 10,
+    dataDir: 'data',
+    credentialKey: null,
+    reconnectOnStartup: true,
+    webhookTimeout: 5,
+    webhookMaxRetries: 5,
+    eventBufferSize: 500,
+    eventHeartbeat: 15,
+    apiKeys: [],
+    allowedClients: [],
+    discoveryTimeout: 5,
+    discoveryInterval: 5,
+    volumeStepTimeout: 2,
+    volumeTimeout: 30,
+    maxKeyHold: 30,
+    historyRetention: 90,
+    pairingTimeout: 300,
+    pairingMaxAttempts: 3,
+    wakeTimeout: 30,
+    presenceInterval: 30,
+    presenceIcmp: true,
+    commandSpacing: 0.1,
+    commandQueueDepth: 20,
+    timeZone: null,
+    logLevel: 'info',
+    logFormat: 'pretty',
+    logLevels: {},
+    logBufferSize: 1000
 };
 
 const configPath = path.join(__dirname, 'config.json');
+let configError = null; // Logged once the logger (which is configured from this file) exists
 if (fs.existsSync(configPath)) {
     try {
         const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
         config = { ...config, ...fileConfig };
-        console.log('✓ Loaded configuration from config.json');
     } catch (error) {
-        console.warn('⚠ Error reading config.json, using defaults:', error.message);
+        configError = error;
     }
 }
 
@@ -61,21 +96,214 @@ if (fs.existsSync(configPath)) {
 const PORT = process.env.BRIDGE_PORT || config.port;
 const KEEPALIVE_INTERVAL = (process.env.KEEPALIVE_INTERVAL ? parseInt(process.env.KEEPALIVE_INTERVAL) : config.keepaliveInterval) * 1000;
 const RECONNECT_DELAY = (process.env.RECONNECT_DELAY ? parseInt(process.env.RECONNECT_DELAY) : config.reconnectDelay) * 1000;
-const MIN_RECONNECT_INTERVAL = (process.env.MIN_RECONNECT_INTERVAL ? parseInt(process.env.MIN_RECONNECT_INTERVAL) : config.minReconnectInterval) * 1000;
-const ACTIVITY_TIMEOUT = (process.env.ACTIVITY_TIMEOUT ? parseInt(process.env.ACTIVITY_TIMEOUT) : config.activityTimeout) * 1000;
+const RECONNECT_MAX_DELAY = (process.env.RECONNECT_MAX_DELAY ? parseInt(process.env.RECONNECT_MAX_DELAY) : config.reconnectMaxDelay) * 1000;
+const RECONNECT_MAX_ATTEMPTS = process.env.RECONNECT_MAX_ATTEMPTS ? parseInt(process.env.RECONNECT_MAX_ATTEMPTS) : config.reconnectMaxAttempts;
 const STATE_POLL_INTERVAL = (process.env.STATE_POLL_INTERVAL ? parseInt(process.env.STATE_POLL_INTERVAL) : config.statePollInterval) * 1000;
+const DATA_DIR = path.resolve(__dirname, process.env.DATA_DIR || config.dataDir);
+const CREDENTIAL_KEY = process.env.CREDENTIAL_KEY || config.credentialKey;
+const RECONNECT_ON_STARTUP = process.env.RECONNECT_ON_STARTUP ? process.env.RECONNECT_ON_STARTUP === 'true' : config.reconnectOnStartup;
+const WEBHOOK_TIMEOUT = (process.env.WEBHOOK_TIMEOUT ? parseInt(process.env.WEBHOOK_TIMEOUT) : config.webhookTimeout) * 1000;
+const WEBHOOK_MAX_RETRIES = process.env.WEBHOOK_MAX_RETRIES ? parseInt(process.env.WEBHOOK_MAX_RETRIES) : config.webhookMaxRetries;
+const EVENT_BUFFER_SIZE = process.env.EVENT_BUFFER_SIZE ? parseInt(process.env.EVENT_BUFFER_SIZE) : config.eventBufferSize;
+const EVENT_HEARTBEAT = (process.env.EVENT_HEARTBEAT ? parseInt(process.env.EVENT_HEARTBEAT) : config.eventHeartbeat) * 1000;
 
-console.log('='.repeat(70));
-console.log('Android TV Remote Bridge Server v1.0');
-console.log('='.repeat(70));
-console.log(`Configuration ${fs.existsSync(configPath) ? '(from config.json)' : '(defaults)'}:`);
-console.log(`  Port: ${PORT}`);
-console.log(`  Keepalive Interval: ${KEEPALIVE_INTERVAL / 1000}s`);
-console.log(`  Reconnect Delay: ${RECONNECT_DELAY / 1000}s`);
-console.log(`  Min Reconnect Interval: ${MIN_RECONNECT_INTERVAL / 1000}s`);
-console.log(`  Activity Timeout: ${ACTIVITY_TIMEOUT / 1000}s`);
-console.log(`  State Poll Interval: ${STATE_POLL_INTERVAL / 1000}s`);
-console.log('='.repeat(70));
+// API keys: [{ name, key, scope: 'read' | 'control' }] - a plain string is a control key.
+// API_KEY / API_READ_KEY add one key of each scope.
+const API_KEYS = (config.apiKeys || []).map((entry, index) => (typeof entry === 'string'
+    ? { name: `key${index + 1}`, key: entry, scope: 'control' }
+    : { name: entry.name || `key${index + 1}`, key: entry.key, scope: entry.scope || 'control' }));
+if (process.env.API_KEY) {
+    API_KEYS.push({ name: 'env:API_KEY', key: process.env.API_KEY, scope: 'control' });
+}
+if (process.env.API_READ_KEY) {
+    API_KEYS.push({ name: 'env:API_READ_KEY', key: process.env.API_READ_KEY, scope: 'read' });
+}
+const DISCOVERY_TIMEOUT = (process.env.DISCOVERY_TIMEOUT ? parseInt(process.env.DISCOVERY_TIMEOUT) : config.discoveryTimeout) * 1000;
+const DISCOVERY_INTERVAL = (process.env.DISCOVERY_INTERVAL ? parseInt(process.env.DISCOVERY_INTERVAL) : config.discoveryInterval) * 60 * 1000;
+const VOLUME_STEP_TIMEOUT = (process.env.VOLUME_STEP_TIMEOUT ? parseFloat(process.env.VOLUME_STEP_TIMEOUT) : config.volumeStepTimeout) * 1000;
+const VOLUME_TIMEOUT = (process.env.VOLUME_TIMEOUT ? parseFloat(process.env.VOLUME_TIMEOUT) : config.volumeTimeout) * 1000;
+const HISTORY_RETENTION = (process.env.HISTORY_RETENTION ? parseFloat(process.env.HISTORY_RETENTION) : config.historyRetention) * 24 * 60 * 60 * 1000;
+const MAX_KEY_HOLD = (process.env.MAX_KEY_HOLD ? parseFloat(process.env.MAX_KEY_HOLD) : config.maxKeyHold) * 1000;
+const PAIRING_TIMEOUT = (process.env.PAIRING_TIMEOUT ? parseInt(process.env.PAIRING_TIMEOUT) : config.pairingTimeout) * 1000;
+const PAIRING_MAX_ATTEMPTS = process.env.PAIRING_MAX_ATTEMPTS ? parseInt(process.env.PAIRING_MAX_ATTEMPTS) : config.pairingMaxAttempts;
+const PRESENCE_INTERVAL = (process.env.PRESENCE_INTERVAL ? parseFloat(process.env.PRESENCE_INTERVAL) : config.presenceInterval) * 1000;
+const PRESENCE_ICMP = process.env.PRESENCE_ICMP ? process.env.PRESENCE_ICMP === 'true' : config.presenceIcmp;
+const WAKE_TIMEOUT = (process.env.WAKE_TIMEOUT ? parseFloat(process.env.WAKE_TIMEOUT) : config.wakeTimeout) * 1000;
+const COMMAND_SPACING = (process.env.COMMAND_SPACING ? parseFloat(process.env.COMMAND_SPACING) : config.commandSpacing) * 1000;
+const COMMAND_QUEUE_DEPTH = process.env.COMMAND_QUEUE_DEPTH ? parseInt(process.env.COMMAND_QUEUE_DEPTH) : config.commandQueueDepth;
+const TIME_ZONE = process.env.TIME_ZONE || config.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const ALLOWED_CLIENTS = process.env.ALLOWED_CLIENTS
+    ? process.env.ALLOWED_CLIENTS.split(',').map(entry => entry.trim()).filter(Boolean)
+    : (config.allowedClients || []);
+const LOG_LEVEL = process.env.LOG_LEVEL || config.logLevel;
+const LOG_FORMAT = process.env.LOG_FORMAT || config.logFormat;
+const LOG_BUFFER_SIZE = process.env.LOG_BUFFER_SIZE ? parseInt(process.env.LOG_BUFFER_SIZE) : config.logBufferSize;
+// Per-module and per-device levels: { pairing: 'debug', 'device:living-room': 'debug' }
+// LOG_LEVELS takes the same as a list: "pairing=debug,device:living-room=debug"
+const LOG_LEVEL_OVERRIDES = process.env.LOG_LEVELS
+    ? Object.fromEntries(process.env.LOG_LEVELS.split(',').map(entry => entry.trim().split('=')).filter(([name, level]) => name && level))
+    : (config.logLevels || {});
+
+// ====================
+// Logging
+// ====================
+
+// Records go to stdout/stderr (pretty or one JSON object per line) and to an in-memory
+// ring buffer served by GET /logs. A record is kept if its level passes the threshold of
+// its device (if one is set), else of its module (if set), else LOG_LEVEL.
+
+const LOG_SEVERITY = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Fields never written anywhere; /text content is replaced by its length
+const REDACTED_FIELDS = ['certificate', 'privatekey', 'cert', 'apikey', 'x-api-key', 'authorization',
+    'password', 'secret', 'token', 'credentialkey'];
+
+// Recent records for GET /logs: { id, timestamp, level, module, deviceId, message, ...fields }
+const logBuffer = [];
+let nextLogId = 1;
+
+function getLogThreshold(module, deviceId) {
+    const level = (deviceId && LOG_LEVEL_OVERRIDES[`device:${deviceId}`]) || LOG_LEVEL_OVERRIDES[module] || LOG_LEVEL;
+    return LOG_SEVERITY[level] !== undefined ? LOG_SEVERITY[level] : LOG_SEVERITY.info;
+}
+
+// Copy a log field with secrets masked and errors reduced to their message
+function redact(value, depth = 0) {
+    if (value instanceof Error) {
+        return value.code ? `${value.message} (${value.code})` : value.message;
+    }
+    if (!value || typeof value !== 'object' || depth > 5) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (REDACTED_FIELDS.includes(key.toLowerCase())) {
+            copy[key] = '[redacted]';
+        } else if (key === 'text' && typeof item === 'string') {
+            copy[key] = `[redacted ${item.length} characters]`;
+        } else {
+            copy[key] = redact(item, depth + 1);
+        }
+    }
+    return copy;
+}
+
+function formatLogRecord(record) {
+    const { id, timestamp, level, module, deviceId, message, ...fields } = record;
+    
+    if (LOG_FORMAT === 'json') {
+        return JSON.stringify({ time: new Date(timestamp).toISOString(), level, module, deviceId, message, ...fields });
+    }
+    
+    const extra = Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : JSON.stringify(value)}`);
+    
+    return [
+        new Date(timestamp).toISOString(),
+        level.toUpperCase().padEnd(5),
+        `[${module}]`,
+        deviceId ? `[${deviceId}]` : null,
+        message,
+        ...extra
+    ].filter(part => part !== null && part !== '').join(' ');
+}
+
+function writeLog(level, module, message, fields = {}) {
+    const { deviceId, ...rest } = fields;
+    if (LOG_SEVERITY[level] > getLogThreshold(module, deviceId)) {
+        return;
+    }
+    
+    const record = {
+        id: nextLogId++,
+        timestamp: Date.now(),
+        level: level,
+        module: module,
+        deviceId: deviceId || undefined,
+        message: message instanceof Error ? message.message : String(message),
+        ...redact(rest)
+    };
+    
+    logBuffer.push(record);
+    if (logBuffer.length > LOG_BUFFER_SIZE) {
+        logBuffer.shift();
+    }
+    
+    const stream = LOG_SEVERITY[level] <= LOG_SEVERITY.warn ? process.stderr : process.stdout;
+    stream.write(formatLogRecord(record) + '\n');
+}
+
+// One logger per module: log.info(message, { deviceId, ...fields })
+function createLogger(module) {
+    const logger = {};
+    for (const level of Object.keys(LOG_SEVERITY)) {
+        logger[level] = (message, fields) => writeLog(level, module, message, fields);
+    }
+    return logger;
+}
+
+const bridgeLog = createLogger('bridge');
+const httpLog = createLogger('http');
+const storageLog = createLogger('storage');
+const stateLog = createLogger('state');
+const connectionLog = createLogger('connection');
+const pairingLog = createLogger('pairing');
+const commandLog = createLogger('commands');
+const sceneLog = createLogger('scenes');
+const syncLog = createLogger('sync');
+const eventsLog = createLogger('events');
+const webhookLog = createLogger('webhooks');
+const schedulerLog = createLogger('scheduler');
+const discoveryLog = createLogger('discovery');
+const parentalLog = createLogger('parental');
+
+// Startup banners stay readable in pretty mode; in JSON mode they become a single record
+function printBanner(title, lines) {
+    if (LOG_FORMAT === 'json') {
+        bridgeLog.info(title, { details: lines.map(line => line.trim()).filter(Boolean) });
+        return;
+    }
+    
+    console.log('='.repeat(70));
+    console.log(title);
+    console.log('='.repeat(70));
+    lines.forEach(line => console.log(line));
+    console.log('='.repeat(70));
+}
+
+if (configError) {
+    bridgeLog.warn('Error reading config.json, using defaults', { error: configError });
+}
+
+printBanner('Android TV Remote Bridge Server v1.0', [
+    `Configuration ${fs.existsSync(configPath) ? '(from config.json)' : '(defaults)'}:`,
+    `  Port: ${PORT}`,
+    `  Keepalive Interval: ${KEEPALIVE_INTERVAL / 1000}s`,
+    `  Reconnect Backoff: ${RECONNECT_DELAY / 1000}s doubling to ${RECONNECT_MAX_DELAY / 1000}s, ${RECONNECT_MAX_ATTEMPTS > 0 ? `max ${RECONNECT_MAX_ATTEMPTS} attempts` : 'unlimited attempts'}`,
+    `  State Poll Interval: ${STATE_POLL_INTERVAL / 1000}s`,
+    `  Data Directory: ${DATA_DIR}`,
+    `  Reconnect On Startup: ${RECONNECT_ON_STARTUP}`,
+    `  Webhook Timeout: ${WEBHOOK_TIMEOUT / 1000}s, Max Retries: ${WEBHOOK_MAX_RETRIES}`,
+    `  Event Buffer: ${EVENT_BUFFER_SIZE} events, Heartbeat: ${EVENT_HEARTBEAT / 1000}s`,
+    `  Discovery: ${DISCOVERY_TIMEOUT / 1000}s browse, background ${DISCOVERY_INTERVAL > 0 ? `every ${DISCOVERY_INTERVAL / 60000}min` : 'disabled'}`,
+    `  Volume Timeout: ${VOLUME_STEP_TIMEOUT / 1000}s per step, ${VOLUME_TIMEOUT / 1000}s total`,
+    `  Max Key Hold: ${MAX_KEY_HOLD / 1000}s`,
+    `  History Retention: ${HISTORY_RETENTION / (24 * 60 * 60 * 1000)} days`,
+    `  Pairing Timeout: ${PAIRING_TIMEOUT / 1000}s (${PAIRING_MAX_ATTEMPTS} code attempts)`,
+    `  Wake Timeout: ${WAKE_TIMEOUT / 1000}s`,
+    `  Presence Probing: ${PRESENCE_INTERVAL > 0 ? `every ${PRESENCE_INTERVAL / 1000}s, ${PRESENCE_ICMP ? 'TCP + ICMP' : 'TCP only'}` : 'disabled'}`,
+    `  Command Spacing: ${COMMAND_SPACING}ms (queue depth ${COMMAND_QUEUE_DEPTH})`,
+    `  Time Zone: ${TIME_ZONE}`,
+    `  API Authentication: ${API_KEYS.length > 0 ? `${API_KEYS.length} key(s)` : 'disabled'}`,
+    `  Client Allowlist: ${ALLOWED_CLIENTS.length > 0 ? ALLOWED_CLIENTS.join(', ') : 'any'}`,
+    `  Logging: ${LOG_LEVEL} (${LOG_FORMAT}), buffer ${LOG_BUFFER_SIZE} records`,
+    `  Log Level Overrides: ${Object.entries(LOG_LEVEL_OVERRIDES).map(([name, level]) => `${name}=${level}`).join(', ') || 'none'}`
+]);
 
 // CRITICAL: Body parser middleware
 app.use(bodyParser.json({ limit: '10mb' }));
@@ -86,1074 +314,6799 @@ const devices = new Map(); // Store TV connections
 const scenes = new Map(); // Store scenes/presets
 const syncGroups = new Map(); // Store multi-room sync groups
 
-// Request logging middleware
-app.use((req, res, next) => {
-    console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.path}`);
-    if (req.body && Object.keys(req.body).length > 0) {
-        console.log('Request body:', JSON.stringify(req.body, null, 2));
-    }
-    next();
-});
-
 // ====================
-// State Management
+// Persistent Storage
 // ====================
 
-// Initialize device state tracking
-function initializeDeviceState(deviceId, remote, host) {
-    const state = {
-        deviceId: deviceId,
-        host: host,
-        remote: remote,
-        connected: false,
-        powerState: 'unknown',
-        volume: 0,
-        muted: false,
-        currentApp: 'unknown',
-        lastActivity: Date.now(),
-        pollInterval: null,
-        stateListeners: [],
-        lastStateUpdate: null
-    };
-    
-    devices.set(deviceId, state);
-    
-    // Set up event listeners on the remote
-    setupRemoteEventListeners(deviceId, remote);
-    
-    return state;
-}
+// Current on-disk schema version of each store. Bump the version and add a
+// migration below whenever the shape of a store's data changes.
+const STORE_VERSIONS = {
+    scenes: 2,
+    syncGroups: 2,
+    credentials: 1,
+    webhooks: 1,
+    schedules: 1,
+    sleepTimers: 1,
+    appCatalog: 1,
+    history: 1,
+    parental: 1,
+    deviceProfiles: 1
+};
 
-// Set up all event listeners for a remote instance
-function setupRemoteEventListeners(deviceId, remote) {
-    console.log(`[${deviceId}] Setting up event listeners...`);
-    
-    const deviceState = devices.get(deviceId);
-    
-    remote.on('ready', () => {
-        console.log(`[${deviceId}] ✓ Remote ready`);
-        if (deviceState) {
-            deviceState.connected = true;
-            deviceState.lastActivity = Date.now();
+// Migrations keyed by store name, then by the version they upgrade FROM.
+// Example: STORE_MIGRATIONS.scenes[1] = (data) => { ...return v2 data }
+const STORE_MIGRATIONS = {
+    scenes: {
+        // v2: fixed app/volume/muted/keys recipes become macro steps
+        1: (data) => {
+            const migrated = {};
+            for (const [name, scene] of Object.entries(data)) {
+                migrated[name] = normalizeScene(name, scene, scene.createdAt);
+            }
+            return migrated;
         }
-    });
-    
-    remote.on('error', (error) => {
-        console.error(`[${deviceId}] Remote error:`, error.message);
-        
-        // If connection error, mark as disconnected and attempt reconnect
-        if (deviceState) {
-            deviceState.connected = false;
-            
-            // Don't spam reconnects - only if it's been a while
-            const timeSinceLastReconnect = Date.now() - (deviceState.lastReconnectAttempt || 0);
-            if (timeSinceLastReconnect > MIN_RECONNECT_INTERVAL) {
-                console.log(`[${deviceId}] Scheduling reconnect...`);
-                deviceState.lastReconnectAttempt = Date.now();
-                
-                setTimeout(async () => {
-                    console.log(`[${deviceId}] Attempting auto-reconnect...`);
-                    try {
-                        await remote.start();
-                        console.log(`[${deviceId}] ✓ Auto-reconnect successful`);
-                    } catch (reconnectError) {
-                        console.error(`[${deviceId}] Auto-reconnect failed:`, reconnectError.message);
-                    }
-                }, RECONNECT_DELAY);
+    },
+    syncGroups: {
+        // v2: the unused `master` becomes the mirror-mode `leader`
+        1: (data) => {
+            const migrated = {};
+            for (const [name, group] of Object.entries(data)) {
+                const { master, ...rest } = group;
+                migrated[name] = { ...rest, leader: master || group.devices[0], mirror: false, exclude: {} };
             }
+            return migrated;
         }
-    });
+    },
+    credentials: {},
+    webhooks: {},
+    schedules: {},
+    sleepTimers: {},
+    appCatalog: {},
+    history: {},
+    parental: {},
+    deviceProfiles: {}
+};
+
+function getStorePath(name) {
+    return path.join(DATA_DIR, `${name}.json`);
+}
+
+// Read a store from disk, running migrations if it was written by an older version
+function readStore(name) {
+    const filePath = getStorePath(name);
     
-    remote.on('unpaired', () => {
-        console.warn(`[${deviceId}] ! Device unpaired`);
-        if (deviceState) {
-            deviceState.connected = false;
-        }
-    });
+    // Leftover temp file means we crashed mid-write - the real file is still intact
+    if (fs.existsSync(`${filePath}.tmp`)) {
+        storageLog.warn('Discarding incomplete write from previous run', { store: name });
+        fs.unlinkSync(`${filePath}.tmp`);
+    }
     
-    remote.on('powered', (powered) => {
-        console.log(`[${deviceId}] Power state: ${powered}`);
-        if (deviceState) {
-            deviceState.powerState = powered ? 'on' : 'off';
-            deviceState.lastActivity = Date.now();
-        }
-    });
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
     
-    remote.on('volume', (volume) => {
-        console.log(`[${deviceId}] Volume: ${volume.level}, Muted: ${volume.muted}`);
-        if (deviceState) {
-            deviceState.volume = volume.level || 0;
-            deviceState.muted = volume.muted || false;
-            deviceState.lastActivity = Date.now();
-        }
-    });
+    let envelope;
+    try {
+        envelope = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        // Keep the unreadable file around for inspection instead of overwriting it
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(filePath, corruptPath);
+        storageLog.error(`Unreadable store moved to ${corruptPath}`, { store: name, error });
+        return null;
+    }
     
-    remote.on('current_app', (app) => {
-        console.log(`[${deviceId}] Current app: ${app}`);
-        if (deviceState) {
-            deviceState.currentApp = app || 'unknown';
-            deviceState.lastActivity = Date.now();
-        }
-    });
+    const targetVersion = STORE_VERSIONS[name];
+    let version = envelope.schemaVersion || 1;
+    let data = envelope.data;
     
-    // Handle RAW data events from TV for real-time state
-    remote.on('data', (data) => {
-        try {
-            if (!deviceState) return;
-            
-            deviceState.lastActivity = Date.now();
-            
-            // App changes (remoteImeKeyInject)
-            if (data.remoteImeKeyInject && data.remoteImeKeyInject.appInfo) {
-                const appPackage = data.remoteImeKeyInject.appInfo.appPackage;
-                console.log(`[${deviceId}] 📱 App changed: ${appPackage}`);
-                deviceState.currentApp = appPackage;
-            }
-            
-            // Volume changes (remoteSetVolumeLevel)
-            if (data.remoteSetVolumeLevel) {
-                const vol = data.remoteSetVolumeLevel;
-                console.log(`[${deviceId}] 🔊 Volume: ${vol.volumeLevel}, Muted: ${vol.volumeMuted}`);
-                deviceState.volume = vol.volumeLevel || 0;
-                deviceState.muted = vol.volumeMuted || false;
-            }
-            
-        } catch (e) {
-            console.error(`[${deviceId}] Error parsing TV event:`, e.message);
+    if (version > targetVersion) {
+        throw new Error(`Store '${name}' has schema version ${version}, this bridge supports up to ${targetVersion}`);
+    }
+    
+    while (version < targetVersion) {
+        const migrate = STORE_MIGRATIONS[name] && STORE_MIGRATIONS[name][version];
+        if (!migrate) {
+            throw new Error(`No migration for store '${name}' from version ${version}`);
         }
-    });
+        storageLog.info(`Migrating schema v${version} -> v${version + 1}`, { store: name });
+        data = migrate(data);
+        version++;
+    }
     
-    // Start keepalive checks every 30 seconds
-    if (deviceState && !deviceState.keepaliveInterval) {
-        console.log(`[${deviceId}] Starting keepalive checks (${KEEPALIVE_INTERVAL / 1000}s interval)`);
-        deviceState.keepaliveInterval = setInterval(() => {
-            try {
-                if (remote && deviceState.connected) {
-                    // Library maintains connection automatically - no ping needed
-                    // Just update lastActivity to track we're alive
-                    deviceState.lastActivity = Date.now();
-                    console.log(`[${deviceId}] ⏱️  Keepalive check - connection active`);
-                }
-            } catch (error) {
-                console.warn(`[${deviceId}] Keepalive check error:`, error.message);
-            }
-        }, KEEPALIVE_INTERVAL);
+    if (envelope.schemaVersion !== targetVersion) {
+        writeStore(name, data);
     }
     
-    console.log(`[${deviceId}] ✓ Event listeners configured`);
+    return data;
 }
 
-// Poll device state
-async function updateDeviceState(deviceId) {
-    const deviceState = devices.get(deviceId);
-    if (!deviceState || !deviceState.remote) {
-        return null;
-    }
+// Write a store atomically: temp file + fsync + rename, so a crash leaves either
+// the old or the new version on disk, never a half-written file
+function writeStore(name, data) {
+    const filePath = getStorePath(name);
+    const tmpPath = `${filePath}.tmp`;
+    const envelope = {
+        schemaVersion: STORE_VERSIONS[name],
+        savedAt: new Date().toISOString(),
+        data: data
+    };
     
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    
+    const fd = fs.openSync(tmpPath, 'w');
     try {
-        // If we have a remote object and have received any activity, we're connected
-        // Don't rely on isReady() as it can be unreliable
-        const hasRecentActivity = deviceState.lastActivity && (Date.now() - deviceState.lastActivity) < ACTIVITY_TIMEOUT;
-        deviceState.connected = (deviceState.remote && hasRecentActivity) || deviceState.connected;
-        
-        // Power state is tracked via 'powered' event listener
-        // No need to poll - the event is reliable
-        
-        const state = {
-            deviceId: deviceId,
-            connected: deviceState.connected,
-            powerState: deviceState.powerState || 'unknown',
-            volume: deviceState.volume || 0,
-            muted: deviceState.muted || false,
-            currentApp: deviceState.currentApp || 'unknown',
-            lastActivity: deviceState.lastActivity,
-            timestamp: Date.now()
-        };
-        
-        deviceState.lastStateUpdate = state;
-        
-        // Notify listeners
-        deviceState.stateListeners.forEach(callback => {
-            try {
-                callback(state);
-            } catch (e) {
-                console.error(`[${deviceId}] State listener error:`, e);
-            }
-        });
-        
-        return state;
-        
-    } catch (error) {
-        console.error(`[${deviceId}] State update error:`, error.message);
-        return null;
+        fs.writeSync(fd, JSON.stringify(envelope, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
     }
+    fs.renameSync(tmpPath, filePath);
 }
 
-// Start state polling
-function startStatePolling(deviceId) {
-    const deviceState = devices.get(deviceId);
-    if (!deviceState) return;
-    
-    // Clear existing interval
-    if (deviceState.pollInterval) {
-        clearInterval(deviceState.pollInterval);
+// Load a Map-backed store; entries are stored as a plain object keyed by name.
+// Schema errors are deliberately fatal - starting empty would overwrite the file on next save.
+function loadMapStore(name, map) {
+    const data = readStore(name);
+    if (data) {
+        for (const [key, value] of Object.entries(data)) {
+            map.set(key, value);
+        }
     }
-    
-    // Set up new polling
-    deviceState.pollInterval = setInterval(async () => {
-        await updateDeviceState(deviceId);
-    }, STATE_POLL_INTERVAL);
-    
-    console.log(`[${deviceId}] State polling started (${STATE_POLL_INTERVAL}ms)`);
+    storageLog.info(`Loaded ${map.size} entries`, { store: name });
 }
 
-// Stop state polling
-function stopStatePolling(deviceId) {
-    const deviceState = devices.get(deviceId);
-    if (deviceState && deviceState.pollInterval) {
-        clearInterval(deviceState.pollInterval);
-        deviceState.pollInterval = null;
-        console.log(`[${deviceId}] State polling stopped`);
+function saveMapStore(name, map) {
+    try {
+        writeStore(name, Object.fromEntries(map));
+    } catch (error) {
+        storageLog.error('Failed to save', { store: name, error });
     }
 }
 
-// Track state changes from commands
-function trackPowerState(deviceId, state) {
-    const deviceState = devices.get(deviceId);
-    if (deviceState) {
-        deviceState.powerState = state;
-        deviceState.lastActivity = Date.now();
-        updateDeviceState(deviceId);
+// Stores that change with every TV update are written at most once per STORE_SAVE_DELAY.
+// flushPendingSaves() writes whatever is still waiting, on shutdown.
+const STORE_SAVE_DELAY = 5000;
+const pendingSaves = new Map(); // store name -> { map, timer }
+
+function saveMapStoreSoon(name, map) {
+    if (pendingSaves.has(name)) {
+        return;
     }
+    pendingSaves.set(name, {
+        map: map,
+        timer: setTimeout(() => {
+            pendingSaves.delete(name);
+            saveMapStore(name, map);
+        }, STORE_SAVE_DELAY)
+    });
 }
 
-function trackVolume(deviceId, volume, muted = null) {
-    const deviceState = devices.get(deviceId);
-    if (deviceState) {
-        if (volume !== null && volume !== undefined) {
-            deviceState.volume = volume;
-        }
-        if (muted !== null && muted !== undefined) {
-            deviceState.muted = muted;
-        }
-        deviceState.lastActivity = Date.now();
-        updateDeviceState(deviceId);
+function flushPendingSaves() {
+    for (const [name, pending] of pendingSaves.entries()) {
+        clearTimeout(pending.timer);
+        saveMapStore(name, pending.map);
     }
+    pendingSaves.clear();
 }
 
-function trackApp(deviceId, appUrl) {
-    const deviceState = devices.get(deviceId);
-    if (deviceState) {
-        deviceState.currentApp = appUrl;
-        deviceState.lastActivity = Date.now();
-        updateDeviceState(deviceId);
-    }
+function saveScenes() {
+    saveMapStore('scenes', scenes);
 }
 
+function saveSyncGroups() {
+    saveMapStore('syncGroups', syncGroups);
+}
+
+loadMapStore('scenes', scenes);
+loadMapStore('syncGroups', syncGroups);
+
 // ====================
-// Pairing Endpoints
+// Credential Store
 // ====================
 
+// Pairing credentials per device: { host, deviceName, certificate, privateKey, updatedAt,
+// mdnsName, btAddress, mac, broadcast }. certificate/privateKey are base64 PEM (same format
+// the Hubitat driver stores); mdnsName/btAddress identify the TV across DHCP address changes;
+// mac/broadcast are where Wake-on-LAN packets go.
+// Only the secrets are encrypted on disk - host and name stay readable.
+const credentials = new Map();
+
+const CREDENTIAL_KEY_FILE = path.join(DATA_DIR, 'credentials.key');
+
+// Use the configured secret if there is one, otherwise a random key kept next to the store
+function loadCredentialKey() {
+    if (CREDENTIAL_KEY) {
+        return crypto.scryptSync(CREDENTIAL_KEY, 'androidtv-bridge', 32);
+    }
+    
+    if (fs.existsSync(CREDENTIAL_KEY_FILE)) {
+        return Buffer.from(fs.readFileSync(CREDENTIAL_KEY_FILE, 'utf8').trim(), 'hex');
+    }
+    
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(CREDENTIAL_KEY_FILE, key.toString('hex'), { mode: 0o600 });
+    storageLog.info(`Generated new encryption key at ${CREDENTIAL_KEY_FILE}`, { store: 'credentials' });
+    return key;
+}
+
+const credentialKey = loadCredentialKey();
+
+function encryptSecret(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', credentialKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: ciphertext.toString('base64')
+    };
+}
+
+function decryptSecret(sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', credentialKey, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function loadCredentials() {
+    const data = readStore('credentials') || {};
+    
+    for (const [deviceId, entry] of Object.entries(data)) {
+        try {
+            const secrets = JSON.parse(decryptSecret(entry.secrets));
+            credentials.set(deviceId, {
+                host: entry.host,
+                deviceName: entry.deviceName,
+                certificate: secrets.certificate,
+                privateKey: secrets.privateKey,
+                updatedAt: entry.updatedAt,
+                mdnsName: entry.mdnsName,
+                btAddress: entry.btAddress,
+                mac: entry.mac,
+                broadcast: entry.broadcast
+            });
+        } catch (error) {
+            // Wrong key or tampered entry - skip it, the driver can still /connect
+            storageLog.error('Could not decrypt stored credentials', { deviceId, error });
+        }
+    }
+    
+    storageLog.info(`Loaded ${credentials.size} entries`, { store: 'credentials' });
+}
+
+function saveCredentials() {
+    const data = {};
+    for (const [deviceId, entry] of credentials.entries()) {
+        data[deviceId] = {
+            host: entry.host,
+            deviceName: entry.deviceName,
+            updatedAt: entry.updatedAt,
+            mdnsName: entry.mdnsName,
+            btAddress: entry.btAddress,
+            mac: entry.mac,
+            broadcast: entry.broadcast,
+            secrets: encryptSecret(JSON.stringify({
+                certificate: entry.certificate,
+                privateKey: entry.privateKey
+            }))
+        };
+    }
+    
+    try {
+        writeStore('credentials', data);
+    } catch (error) {
+        storageLog.error('Failed to save', { store: 'credentials', error });
+    }
+}
+
+function rememberCredentials(deviceId, host, deviceName, certificate, privateKey) {
+    const existing = credentials.get(deviceId) || {};
+    credentials.set(deviceId, {
+        ...existing,
+        host: host,
+        deviceName: deviceName,
+        certificate: certificate,
+        privateKey: privateKey,
+        updatedAt: Date.now()
+    });
+    saveCredentials();
+}
+
+function forgetCredentials(deviceId) {
+    if (credentials.delete(deviceId)) {
+        saveCredentials();
+    }
+}
+
+// Register a TV that has stored credentials and start its connection lifecycle
+async function connectDevice(deviceId) {
+    const entry = credentials.get(deviceId);
+    
+    const deviceState = initializeDeviceState(deviceId, null, entry.host);
+    startStatePolling(deviceId);
+    
+    await attemptConnection(deviceId);
+    
+    return deviceState;
+}
+
+async function reconnectKnownDevices() {
+    if (!RECONNECT_ON_STARTUP || credentials.size === 0) {
+        return;
+    }
+    
+    storageLog.info(`Reconnecting ${credentials.size} known device(s)...`);
+    
+    await Promise.all(Array.from(credentials.entries()).map(async ([deviceId, entry]) => {
+        if (devices.has(deviceId)) {
+            return;
+        }
+        try {
+            const deviceState = await connectDevice(deviceId);
+            if (deviceState.connected) {
+                storageLog.info('Reconnected from stored credentials', { deviceId });
+            }
+        } catch (error) {
+            storageLog.error('Startup reconnect failed', { deviceId, error });
+        }
+    }));
+}
+
+loadCredentials();
+
+// Request logging middleware (bodies are redacted like every other log field)
+app.use((req, res, next) => {
+    const deviceId = (req.body && req.body.deviceId) || req.query.deviceId;
+    httpLog.debug(`${req.method} ${req.path}`, {
+        deviceId: typeof deviceId === 'string' ? deviceId : undefined,
+        body: req.body && Object.keys(req.body).length > 0 ? req.body : undefined
+    });
+    next();
+});
+
+// ====================
+// API Errors & Validation
+// ====================
+
+// Every error response is { success: false, error, code[, details] }. `code` is stable and
+// meant for clients to branch on; `error` is for humans and may change.
+const ERROR_STATUS = {
+    INVALID_REQUEST: 400,
+    UNAUTHORIZED: 401,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    DEVICE_NOT_FOUND: 404,
+    SCENE_NOT_FOUND: 404,
+    GROUP_NOT_FOUND: 404,
+    SCHEDULE_NOT_FOUND: 404,
+    SLEEP_TIMER_NOT_FOUND: 404,
+    WEBHOOK_NOT_FOUND: 404,
+    COMMAND_NOT_FOUND: 404,
+    APP_NOT_FOUND: 404,
+    PARENTAL_RULES_NOT_FOUND: 404,
+    PAIRING_IN_PROGRESS: 409,
+    NO_PAIRING_SESSION: 409,
+    PAIRING_EXPIRED: 410,
+    INVALID_PAIRING_CODE: 400,
+    DEVICE_UNPAIRED: 409,
+    VOLUME_UNAVAILABLE: 409,
+    KEY_UNSUPPORTED: 409,
+    INPUT_UNSUPPORTED: 409,
+    COMMAND_CANCELLED: 409,
+    QUEUE_FULL: 429,
+    INTERNAL_ERROR: 500,
+    DEVICE_NOT_CONNECTED: 503,
+    TV_UNREACHABLE: 503,
+    SCENE_FAILED: 500,
+    TIMEOUT: 504
+};
+
+// Socket errors that mean the TV (not the bridge) is the problem
+const UNREACHABLE_ERROR_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'EHOSTDOWN', 'ENETUNREACH', 'ECONNRESET', 'EPIPE'];
+
+class ApiError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 500;
+        this.details = details;
+    }
+}
+
+// Map anything thrown in a route to an ApiError
+function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    if (error && error.code === 'ETIMEDOUT') {
+        return new ApiError('TIMEOUT', error.message);
+    }
+    if (error && UNREACHABLE_ERROR_CODES.includes(error.code)) {
+        return new ApiError('TV_UNREACHABLE', error.message);
+    }
+    return new ApiError('INTERNAL_ERROR', (error && error.message) || String(error));
+}
+
+function sendError(res, error, extra) {
+    const apiError = toApiError(error);
+    res.status(apiError.status).json({
+        success: false,
+        error: apiError.message,
+        code: apiError.code,
+        details: apiError.details,
+        ...extra
+    });
+}
+
+// Field rules: { type, required, default, enum, min, max, minLength, maxLength, pattern, items }
+// type is string | integer | number | boolean | object | array. Numbers and booleans are also
+// accepted as strings (form posts, query strings) and converted in place.
+function checkField(name, rule, value) {
+    if (value === undefined || value === null || value === '') {
+        return rule.required ? { error: `${name} is required` } : { value: rule.default };
+    }
+    
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                return { error: `${name} must be a string` };
+            }
+            value = String(value);
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return { error: `${name} must be at least ${rule.minLength} characters` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `${name} must be at most ${rule.maxLength} characters` };
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return { error: rule.patternMessage || `${name} has an invalid format` };
+            }
+            break;
+        case 'integer':
+        case 'number':
+            value = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+                return { error: `${name} must be ${rule.type === 'integer' ? 'an integer' : 'a number'}` };
+            }
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                return { error: `${name} must be between ${rule.min !== undefined ? rule.min : '-∞'} and ${rule.max !== undefined ? rule.max : '∞'}` };
+            }
+            break;
+        case 'boolean':
+            if (value === 'true' || value === 'false') {
+                value = value === 'true';
+            }
+            if (typeof value !== 'boolean') {
+                return { error: `${name} must be true or false` };
+            }
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { error: `${name} must be an object` };
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return { error: `${name} must be an array` };
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return { error: `${name} needs at least ${rule.minItems} entries` };
+            }
+            if (rule.items) {
+                const converted = [];
+                for (let i = 0; i < value.length; i++) {
+                    const item = checkField(`${name}[${i}]`, { ...rule.items, required: true }, value[i]);
+                    if (item.error) {
+                        return item;
+                    }
+                    converted.push(item.value);
+                }
+                value = converted;
+            }
+            break;
+    }
+    
+    if (rule.enum && !rule.enum.includes(value)) {
+        return { error: `${name} must be one of ${rule.enum.join(', ')}` };
+    }
+    
+    return { value: value };
+}
+
+// Middleware validating req.params, req.query and req.body against a schema:
+//   { params: { field: rule }, query: {...}, body: {...}, check: (req) => message | null }
+// Converted values and defaults are written back, so handlers can use them directly.
+function validateRequest(schema) {
+    return (req, res, next) => {
+        const details = [];
+        
+        for (const source of ['params', 'query', 'body']) {
+            if (!schema[source]) {
+                continue;
+            }
+            const input = req[source] || {};
+            for (const [name, rule] of Object.entries(schema[source])) {
+                const result = checkField(name, rule, input[name]);
+                if (result.error) {
+                    details.push({ field: name, in: source, message: result.error });
+                } else if (result.value !== undefined) {
+                    input[name] = result.value;
+                }
+            }
+            req[source] = input;
+        }
+        
+        if (details.length === 0 && schema.check) {
+            const message = schema.check(req);
+            if (message) {
+                details.push({ message: message });
+            }
+        }
+        
+        if (details.length > 0) {
+            httpLog.debug(`Rejected ${req.method} ${req.path}: ${details.map(detail => detail.message).join('; ')}`);
+            return sendError(res, new ApiError('INVALID_REQUEST', details.map(detail => detail.message).join('; '), details));
+        }
+        next();
+    };
+}
+
+// Rules shared by many routes
+const DEVICE_ID = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+const NAME = { type: 'string', required: true, minLength: 1, maxLength: 128 };
+const MAC_ADDRESS = { type: 'string', pattern: /^[0-9a-fA-F]{2}([:-]?[0-9a-fA-F]{2}){5}$/, patternMessage: 'mac must look like AA:BB:CC:DD:EE:FF' };
+const BROADCAST_ADDRESS = { type: 'string', pattern: /^(\d{1,3}\.){3}\d{1,3}$/, patternMessage: 'broadcast must be an IPv4 address like 192.168.1.255' };
+
+// A device the bridge knows about: live, or paired with stored credentials
+function requireKnownDevice(deviceId) {
+    if (!devices.has(deviceId) && !credentials.has(deviceId)) {
+        throw new ApiError('DEVICE_NOT_FOUND', `Device ${deviceId} not known - pair or /connect it first`);
+    }
+    return devices.get(deviceId);
+}
+
+// A device whose remote connection is ready for commands
+function requireConnectedDevice(deviceId) {
+    const deviceState = requireKnownDevice(deviceId);
+    if (!deviceState || !deviceState.remote || !deviceState.connected) {
+        const state = deviceState ? deviceState.connectionState : 'disconnected';
+        throw new ApiError(state === 'unpaired' ? 'DEVICE_UNPAIRED' : 'DEVICE_NOT_CONNECTED',
+            `Device ${deviceId} not connected (${state})`);
+    }
+    return deviceState;
+}
+
+// ====================
+// Authentication
+// ====================
+
+// Always reachable, so Docker health checks work without credentials
+const PUBLIC_PATHS = ['/health'];
+
+// Parse an IPv4 or IPv6 address into { bits, value } (BigInt), or null if invalid
+function parseIpAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:192.168.1.10) is treated as plain IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        address = mapped[1];
+    }
+    
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(address)) {
+        const octets = address.split('.').map(Number);
+        if (octets.some(octet => octet > 255)) {
+            return null;
+        }
+        return { bits: 32, value: octets.reduce((acc, octet) => (acc << 8n) + BigInt(octet), 0n) };
+    }
+    
+    if (address.includes(':')) {
+        const [head, tail = ''] = address.split('::');
+        const headParts = head ? head.split(':') : [];
+        const tailParts = tail ? tail.split(':') : [];
+        const missing = 8 - headParts.length - tailParts.length;
+        if (missing < 0 || (missing > 0 && !address.includes('::'))) {
+            return null;
+        }
+        const groups = [...headParts, ...Array(missing).fill('0'), ...tailParts];
+        if (groups.some(group => !/^[0-9a-f]{1,4}$/i.test(group))) {
+            return null;
+        }
+        return { bits: 128, value: groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n) };
+    }
+    
+    return null;
+}
+
+// Match an address against an allowlist entry: single IP or CIDR range
+function ipMatches(address, entry) {
+    const [range, prefixText] = entry.split('/');
+    const ip = parseIpAddress(address);
+    const network = parseIpAddress(range);
+    if (!ip || !network || ip.bits !== network.bits) {
+        return false;
+    }
+    
+    const prefix = prefixText === undefined ? network.bits : parseInt(prefixText);
+    const shift = BigInt(network.bits - prefix);
+    return (ip.value >> shift) === (network.value >> shift);
+}
+
+// Find the configured key matching the presented token (constant-time compare)
+function findApiKey(token) {
+    const presented = Buffer.from(token);
+    return API_KEYS.find(entry => {
+        const expected = Buffer.from(String(entry.key));
+        return expected.length === presented.length && crypto.timingSafeEqual(expected, presented);
+    });
+}
+
+// Token from 'Authorization: Bearer', 'X-API-Key', or ?apiKey= (EventSource can't set headers)
+function getRequestToken(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.get('X-API-Key') || req.query.apiKey || null;
+}
+
+app.use((req, res, next) => {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+    
+    if (ALLOWED_CLIENTS.length > 0) {
+        const clientIp = req.socket.remoteAddress || '';
+        if (!ALLOWED_CLIENTS.some(entry => ipMatches(clientIp, entry))) {
+            httpLog.warn(`Rejected ${req.method} ${req.path} from ${clientIp} (not in allowlist)`);
+            return sendError(res, new ApiError('FORBIDDEN', 'Client not allowed'));
+        }
+    }
+    
+    if (API_KEYS.length === 0) {
+        return next();
+    }
+    
+    const token = getRequestToken(req);
+    const apiKey = token ? findApiKey(token) : null;
+    if (!apiKey) {
+        return sendError(res, new ApiError('UNAUTHORIZED', 'Missing or invalid API key'));
+    }
+    
+    // Read-only keys may only use GET endpoints
+    const requiredScope = req.method === 'GET' ? 'read' : 'control';
+    if (requiredScope === 'control' && apiKey.scope !== 'control') {
+        httpLog.warn(`Rejected ${req.method} ${req.path} - key '${apiKey.name}' is read-only`);
+        return sendError(res, new ApiError('FORBIDDEN', 'API key does not have control scope'));
+    }
+    
+    req.apiKey = apiKey.name;
+    next();
+});
+
+// ====================
+// Metrics
+// ====================
+
+// Counters live outside deviceState so they survive reconnects, /disconnect and re-pairing.
+// Everything else is read from the live state when /metrics is scraped.
+
+const CONNECTION_STATES = ['connecting', 'ready', 'backing-off', 'unpaired', 'failed'];
+
+// Seconds; covers a local socket write up to a TV that is busy waking up
+const REMOTE_CALL_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// deviceId -> { commands, commandFailures (endpoint -> count), reconnects, disconnects,
+//               remoteCalls (method -> { buckets, sum, count, failures }) }
+const deviceMetrics = new Map();
+
+const pairingAttempts = { started: 0, succeeded: 0, failed: 0 };
+
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 10 });
+eventLoopDelay.enable();
+
+function getDeviceMetrics(deviceId) {
+    let metrics = deviceMetrics.get(deviceId);
+    if (!metrics) {
+        metrics = {
+            commands: {},
+            commandFailures: {},
+            reconnects: 0,
+            disconnects: 0,
+            remoteCalls: {}
+        };
+        deviceMetrics.set(deviceId, metrics);
+    }
+    return metrics;
+}
+
+// Count every POST that targets a known device, by route, once the response is sent.
+// Unknown deviceIds are left out so a typo can't create new series.
+app.use((req, res, next) => {
+    const deviceId = req.body && req.body.deviceId;
+    if (req.method !== 'POST' || typeof deviceId !== 'string' || !(devices.has(deviceId) || credentials.has(deviceId))) {
+        return next();
+    }
+    
+    res.on('finish', () => {
+        const endpoint = req.route ? req.route.path : 'unmatched';
+        const metrics = getDeviceMetrics(deviceId);
+        metrics.commands[endpoint] = (metrics.commands[endpoint] || 0) + 1;
+        if (res.statusCode >= 400) {
+            metrics.commandFailures[endpoint] = (metrics.commandFailures[endpoint] || 0) + 1;
+        }
+    });
+    next();
+});
+
+// Time sendKey/sendAppLink on a remote. Callers always await these, so the wrappers
+// being async is invisible to them.
+function instrumentRemote(deviceId, remote) {
+    ['sendKey', 'sendAppLink'].forEach(method => {
+        const original = remote[method];
+        if (typeof original !== 'function') {
+            return;
+        }
+        
+        remote[method] = async (...args) => {
+            const started = process.hrtime.bigint();
+            let failed = true;
+            try {
+                const result = await original.apply(remote, args);
+                failed = false;
+                return result;
+            } finally {
+                observeRemoteCall(deviceId, method, Number(process.hrtime.bigint() - started) / 1e9, failed);
+            }
+        };
+    });
+}
+
+function observeRemoteCall(deviceId, method, seconds, failed) {
+    const metrics = getDeviceMetrics(deviceId);
+    let histogram = metrics.remoteCalls[method];
+    if (!histogram) {
+        histogram = { buckets: REMOTE_CALL_BUCKETS.map(() => 0), sum: 0, count: 0, failures: 0 };
+        metrics.remoteCalls[method] = histogram;
+    }
+    
+    REMOTE_CALL_BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) {
+            histogram.buckets[i]++;
+        }
+    });
+    histogram.sum += seconds;
+    histogram.count++;
+    if (failed) {
+        histogram.failures++;
+    }
+}
+
+// Prometheus text exposition format (version 0.0.4)
+function formatLabels(labels) {
+    const pairs = Object.entries(labels || {})
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    return String(value);
+}
+
+// samples: [{ labels, value }] or a single number
+function writeMetric(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    (Array.isArray(samples) ? samples : [{ value: samples }]).forEach(sample => {
+        lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    });
+}
+
+function writeProcessMetrics(lines) {
+    const cpu = process.cpuUsage();
+    const memory = process.memoryUsage();
+    
+    writeMetric(lines, 'process_cpu_user_seconds_total', 'counter', 'User CPU time spent in seconds.', cpu.user / 1e6);
+    writeMetric(lines, 'process_cpu_system_seconds_total', 'counter', 'System CPU time spent in seconds.', cpu.system / 1e6);
+    writeMetric(lines, 'process_cpu_seconds_total', 'counter', 'Total user and system CPU time spent in seconds.', (cpu.user + cpu.system) / 1e6);
+    writeMetric(lines, 'process_start_time_seconds', 'gauge', 'Start time of the process since unix epoch in seconds.',
+        Math.round(Date.now() / 1000 - process.uptime()));
+    writeMetric(lines, 'process_resident_memory_bytes', 'gauge', 'Resident memory size in bytes.', memory.rss);
+    writeMetric(lines, 'nodejs_heap_size_total_bytes', 'gauge', 'Process heap size from Node.js in bytes.', memory.heapTotal);
+    writeMetric(lines, 'nodejs_heap_size_used_bytes', 'gauge', 'Process heap size used from Node.js in bytes.', memory.heapUsed);
+    writeMetric(lines, 'nodejs_external_memory_bytes', 'gauge', 'Node.js external memory size in bytes.', memory.external);
+    writeMetric(lines, 'nodejs_eventloop_lag_mean_seconds', 'gauge', 'Mean event loop delay in seconds.',
+        (eventLoopDelay.mean || 0) / 1e9);
+    writeMetric(lines, 'nodejs_eventloop_lag_p99_seconds', 'gauge', '99th percentile event loop delay in seconds.',
+        eventLoopDelay.percentile(99) / 1e9);
+    writeMetric(lines, 'nodejs_eventloop_lag_max_seconds', 'gauge', 'Maximum event loop delay in seconds.',
+        eventLoopDelay.max / 1e9);
+    
+    try {
+        writeMetric(lines, 'process_open_fds', 'gauge', 'Number of open file descriptors.', fs.readdirSync('/proc/self/fd').length);
+    } catch (error) {
+        // Not Linux - leave it out
+    }
+}
+
+function writeDeviceMetrics(lines) {
+    const states = Array.from(devices.entries());
+    const now = Date.now();
+    
+    writeMetric(lines, 'androidtv_device_connection_state', 'gauge',
+        'Connection lifecycle state of the device (1 for the current state).',
+        states.flatMap(([deviceId, state]) => CONNECTION_STATES.map(name => ({
+            labels: { device: deviceId, state: name },
+            value: state.connectionState === name ? 1 : 0
+        }))));
+    writeMetric(lines, 'androidtv_device_connected', 'gauge', 'Whether the remote connection is ready.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.connected ? 1 : 0 })));
+    writeMetric(lines, 'androidtv_device_reconnect_attempts', 'gauge', 'Connection attempts since the device was last ready.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.reconnectAttempts })));
+    writeMetric(lines, 'androidtv_device_command_queue_depth', 'gauge', 'Commands waiting in the device\'s command queue.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.commandQueue.pending.length })));
+    writeMetric(lines, 'androidtv_device_last_activity_age_seconds', 'gauge', 'Seconds since the last command or state report.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: (now - state.lastActivity) / 1000 })));
+    writeMetric(lines, 'androidtv_device_power_on', 'gauge', 'Whether the TV is on (left out while the power state is unknown).',
+        states.filter(([, state]) => state.powerState === 'on' || state.powerState === 'off')
+            .map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.powerState === 'on' ? 1 : 0 })));
+    writeMetric(lines, 'androidtv_device_presence', 'gauge', 'Presence from background probing (1 for the current state).',
+        states.flatMap(([deviceId, state]) => PRESENCE_STATES.map(name => ({
+            labels: { device: deviceId, state: name },
+            value: state.presence.state === name ? 1 : 0
+        }))));
+    writeMetric(lines, 'androidtv_device_volume', 'gauge', 'Current volume level in the TV\'s own units.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.volume || 0 })));
+    writeMetric(lines, 'androidtv_device_volume_max', 'gauge', 'Maximum volume level reported by the TV.',
+        states.filter(([, state]) => state.volumeMax)
+            .map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.volumeMax })));
+    writeMetric(lines, 'androidtv_device_muted', 'gauge', 'Whether the TV is muted.',
+        states.map(([deviceId, state]) => ({ labels: { device: deviceId }, value: state.muted ? 1 : 0 })));
+    
+    const counters = Array.from(deviceMetrics.entries());
+    const byEndpoint = (key) => counters.flatMap(([deviceId, metrics]) =>
+        Object.entries(metrics[key]).map(([endpoint, value]) => ({ labels: { device: deviceId, endpoint }, value })));
+    
+    writeMetric(lines, 'androidtv_commands_total', 'counter', 'Commands received for the device, by endpoint.', byEndpoint('commands'));
+    writeMetric(lines, 'androidtv_command_failures_total', 'counter', 'Commands that returned an error status, by endpoint.',
+        byEndpoint('commandFailures'));
+    writeMetric(lines, 'androidtv_device_reconnects_total', 'counter', 'Connection attempts after the first one (retries and reconnects after a drop).',
+        counters.map(([deviceId, metrics]) => ({ labels: { device: deviceId }, value: metrics.reconnects })));
+    writeMetric(lines, 'androidtv_device_disconnects_total', 'counter', 'Times a ready connection was lost.',
+        counters.map(([deviceId, metrics]) => ({ labels: { device: deviceId }, value: metrics.disconnects })));
+    
+    const histograms = counters.flatMap(([deviceId, metrics]) =>
+        Object.entries(metrics.remoteCalls).map(([method, histogram]) => ({ labels: { device: deviceId, method }, histogram })));
+    
+    lines.push('# HELP androidtv_remote_call_duration_seconds Time taken by sendKey/sendAppLink calls on the remote.');
+    lines.push('# TYPE androidtv_remote_call_duration_seconds histogram');
+    histograms.forEach(({ labels, histogram }) => {
+        REMOTE_CALL_BUCKETS.forEach((bound, i) => {
+            lines.push(`androidtv_remote_call_duration_seconds_bucket${formatLabels({ ...labels, le: bound })} ${histogram.buckets[i]}`);
+        });
+        lines.push(`androidtv_remote_call_duration_seconds_bucket${formatLabels({ ...labels, le: '+Inf' })} ${histogram.count}`);
+        lines.push(`androidtv_remote_call_duration_seconds_sum${formatLabels(labels)} ${histogram.sum}`);
+        lines.push(`androidtv_remote_call_duration_seconds_count${formatLabels(labels)} ${histogram.count}`);
+    });
+    writeMetric(lines, 'androidtv_remote_call_failures_total', 'counter', 'sendKey/sendAppLink calls that threw.',
+        histograms.map(({ labels, histogram }) => ({ labels, value: histogram.failures })));
+}
+
+// Prometheus scrape endpoint (a read key is enough when API keys are configured)
+app.get('/metrics', (req, res) => {
+    const lines = [];
+    
+    writeProcessMetrics(lines);
+    writeDeviceMetrics(lines);
+    
+    writeMetric(lines, 'androidtv_devices', 'gauge', 'Devices the bridge is managing.',
+        devices.size);
+    writeMetric(lines, 'androidtv_paired_devices', 'gauge', 'Devices with stored pairing credentials.', credentials.size);
+    writeMetric(lines, 'androidtv_scenes', 'gauge', 'Saved scenes.', scenes.size);
+    writeMetric(lines, 'androidtv_sync_groups', 'gauge', 'Configured sync groups.', syncGroups.size);
+    writeMetric(lines, 'androidtv_schedules', 'gauge', 'Configured schedules.', schedules.size);
+    writeMetric(lines, 'androidtv_sleep_timers', 'gauge', 'Active sleep timers.', sleepTimers.size);
+    writeMetric(lines, 'androidtv_webhooks', 'gauge', 'Registered webhooks.', webhooks.size);
+    writeMetric(lines, 'androidtv_event_stream_clients', 'gauge', 'Open /events connections.', eventStreams.size);
+    writeMetric(lines, 'androidtv_pairing_sessions_active', 'gauge', 'Pairing sessions waiting for a code.',
+        Array.from(pairingSessions.values()).filter(isPairingActive).length);
+    writeMetric(lines, 'androidtv_pairing_attempts_total', 'counter', 'Pairing attempts by result.',
+        Object.entries(pairingAttempts).map(([result, value]) => ({ labels: { result }, value })));
+    
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(lines.join('\n') + '\n');
+});
+
+// ====================
+// State Management
+// ====================
+
+// Initialize device state tracking
+function initializeDeviceState(deviceId, remote, host) {
+    const state = {
+        deviceId: deviceId,
+        host: host,
+        remote: remote,
+        connected: false,
+        powerState: 'unknown',
+        volume: 0,
+        volumeMax: null,        // Reported by the TV with each volume event
+        volumeEstimated: true,  // True until the TV has reported the real level
+        muted: false,
+        currentApp: 'unknown',
+        lastActivity: Date.now(),
+        pollInterval: null,
+        heldKeys: new Map(),    // keyCode -> auto-release timer for keys held with mode 'start'
+        commandQueue: { pending: [], running: null, draining: false, lastFinishedAt: 0, lastId: 0 },
+        connectionState: 'connecting',
+        connectionStateSince: Date.now(),
+        reconnectAttempts: 0,   // Attempts since the connection was last ready
+        reconnectTimer: null,
+        nextReconnectAt: null,
+        lastError: null,
+        lastErrorAt: null,
+        lastConnectedAt: null,
+        presence: initialPresence(),
+        stateListeners: [],
+        lastStateUpdate: null
+    };
+    
+    devices.set(deviceId, state);
+    
+    // Publish state diffs to the event stream (webhooks, SSE)
+    state.stateListeners.push(createChangeListener(deviceId));
+    
+    // Set up event listeners on the remote (connection attempts create their own)
+    if (remote) {
+        instrumentRemote(deviceId, remote);
+        setupRemoteEventListeners(deviceId, remote);
+    }
+    
+    return state;
+}
+
+// Set up all event listeners for a remote instance
+function setupRemoteEventListeners(deviceId, remote) {
+    stateLog.debug('Setting up event listeners...', { deviceId });
+    
+    const deviceState = devices.get(deviceId);
+    
+    // Connection state itself is driven by the lifecycle below (superviseRemote/watchConnection)
+    remote.on('ready', () => {
+        stateLog.info('Remote ready', { deviceId });
+        if (deviceState) {
+            deviceState.lastActivity = Date.now();
+        }
+    });
+    
+    remote.on('unpaired', () => {
+        stateLog.warn('Device unpaired', { deviceId });
+    });
+    
+    remote.on('powered', (powered) => {
+        stateLog.info(`Power state: ${powered}`, { deviceId });
+        if (deviceState) {
+            deviceState.powerState = powered ? 'on' : 'off';
+            deviceState.lastActivity = Date.now();
+            updateDeviceState(deviceId);
+        }
+    });
+    
+    remote.on('volume', (volume) => {
+        stateLog.info(`Volume: ${volume.level}/${volume.maximum}, Muted: ${volume.muted}`, { deviceId });
+        if (deviceState) {
+            deviceState.volume = volume.level || 0;
+            deviceState.volumeMax = volume.maximum || deviceState.volumeMax;
+            deviceState.volumeEstimated = false;
+            deviceState.muted = volume.muted || false;
+            deviceState.lastActivity = Date.now();
+            updateDeviceState(deviceId);
+        }
+    });
+    
+    remote.on('current_app', (app) => {
+        stateLog.info(`Current app: ${app}`, { deviceId });
+        recordAppSeen(deviceId, app);
+        if (deviceState) {
+            deviceState.currentApp = app || 'unknown';
+            deviceState.lastActivity = Date.now();
+            updateDeviceState(deviceId);
+        }
+    });
+    
+    // Handle RAW data events from TV for real-time state
+    remote.on('data', (data) => {
+        try {
+            if (!deviceState) return;
+            
+            deviceState.lastActivity = Date.now();
+            
+            // App changes (remoteImeKeyInject)
+            if (data.remoteImeKeyInject && data.remoteImeKeyInject.appInfo) {
+                const appPackage = data.remoteImeKeyInject.appInfo.appPackage;
+                stateLog.info(`App changed: ${appPackage}`, { deviceId });
+                deviceState.currentApp = appPackage;
+            }
+            
+            // Volume changes (remoteSetVolumeLevel)
+            if (data.remoteSetVolumeLevel) {
+                const vol = data.remoteSetVolumeLevel;
+                stateLog.info(`Volume: ${vol.volumeLevel}, Muted: ${vol.volumeMuted}`, { deviceId });
+                deviceState.volume = vol.volumeLevel || 0;
+                deviceState.volumeMax = vol.volumeMax || deviceState.volumeMax;
+                deviceState.volumeEstimated = false;
+                deviceState.muted = vol.volumeMuted || false;
+            }
+            
+            updateDeviceState(deviceId);
+            
+        } catch (e) {
+            stateLog.error('Error parsing TV event', { deviceId, error: e });
+        }
+    });
+    
+    // Start keepalive checks every 30 seconds
+    if (deviceState && !deviceState.keepaliveInterval) {
+        stateLog.info(`Starting keepalive checks (${KEEPALIVE_INTERVAL / 1000}s interval)`, { deviceId });
+        deviceState.keepaliveInterval = setInterval(() => {
+            try {
+                if (deviceState.remote && deviceState.connected) {
+                    // Library maintains connection automatically - no ping needed
+                    // Just update lastActivity to track we're alive
+                    deviceState.lastActivity = Date.now();
+                    stateLog.debug('Keepalive check - connection active', { deviceId });
+                }
+            } catch (error) {
+                stateLog.warn('Keepalive check error', { deviceId, error });
+            }
+        }, KEEPALIVE_INTERVAL);
+    }
+    
+    stateLog.debug('Event listeners configured', { deviceId });
+}
+
+// Poll device state
+async function updateDeviceState(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        return null;
+    }
+    
+    try {
+        // Connected means the lifecycle is 'ready' (see setConnectionState)
+        deviceState.connected = deviceState.connectionState === 'ready';
+        
+        // Power state is tracked via 'powered' event listener
+        // No need to poll - the event is reliable
+        
+        const state = {
+            deviceId: deviceId,
+            connected: deviceState.connected,
+            powerState: deviceState.powerState || 'unknown',
+            presence: deviceState.presence.state,
+            volume: deviceState.volume || 0,
+            muted: deviceState.muted || false,
+            currentApp: deviceState.currentApp || 'unknown',
+            lastActivity: deviceState.lastActivity,
+            timestamp: Date.now()
+        };
+        
+        deviceState.lastStateUpdate = state;
+        
+        // Notify listeners
+        deviceState.stateListeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (e) {
+                stateLog.error('State listener error', { deviceId, error: e });
+            }
+        });
+        
+        return state;
+        
+    } catch (error) {
+        stateLog.error('State update error', { deviceId, error });
+        return null;
+    }
+}
+
+// Start state polling
+function startStatePolling(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) return;
+    
+    // Clear existing interval
+    if (deviceState.pollInterval) {
+        clearInterval(deviceState.pollInterval);
+    }
+    
+    // Set up new polling
+    deviceState.pollInterval = setInterval(async () => {
+        await updateDeviceState(deviceId);
+    }, STATE_POLL_INTERVAL);
+    
+    stateLog.info(`State polling started (${STATE_POLL_INTERVAL}ms)`, { deviceId });
+}
+
+// Stop state polling
+function stopStatePolling(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (deviceState && deviceState.pollInterval) {
+        clearInterval(deviceState.pollInterval);
+        deviceState.pollInterval = null;
+        stateLog.info('State polling stopped', { deviceId });
+    }
+}
+
+// Track state changes from commands
+function trackPowerState(deviceId, state) {
+    const deviceState = devices.get(deviceId);
+    if (deviceState) {
+        deviceState.powerState = state;
+        deviceState.lastActivity = Date.now();
+        updateDeviceState(deviceId);
+    }
+}
+
+function trackVolume(deviceId, volume, muted = null) {
+    const deviceState = devices.get(deviceId);
+    if (deviceState) {
+        if (volume !== null && volume !== undefined) {
+            deviceState.volume = volume;
+            deviceState.volumeEstimated = true;
+        }
+        if (muted !== null && muted !== undefined) {
+            deviceState.muted = muted;
+        }
+        deviceState.lastActivity = Date.now();
+        updateDeviceState(deviceId);
+    }
+}
+
+function trackApp(deviceId, appUrl) {
+    const deviceState = devices.get(deviceId);
+    if (deviceState) {
+        deviceState.currentApp = appUrl;
+        deviceState.lastActivity = Date.now();
+        updateDeviceState(deviceId);
+    }
+}
+
+// ====================
+// Connection Lifecycle
+// ====================
+
+// Each device moves through:
+//   connecting  -> ready         TV accepted the connection
+//   connecting  -> backing-off   attempt failed or timed out; retry after a capped, jittered backoff
+//   ready       -> backing-off   connection dropped
+//   connecting  -> unpaired      TV rejected our certificate; needs pairing (or a manual reconnect)
+//   backing-off -> failed        only when reconnectMaxAttempts is set and used up
+// POST /reconnect starts a new attempt from any state.
+
+const CONNECT_TIMEOUT = 15000;
+
+function setConnectionState(deviceId, deviceState, state, error) {
+    if (error) {
+        deviceState.lastError = error;
+        deviceState.lastErrorAt = Date.now();
+    }
+    if (state === 'ready') {
+        deviceState.lastConnectedAt = Date.now();
+        deviceState.lastActivity = Date.now();
+    }
+    if (state !== deviceState.connectionState) {
+        connectionLog.info(`Connection: ${deviceState.connectionState} -> ${state}${error ? ` (${error})` : ''}`, { deviceId });
+        deviceState.connectionStateSince = Date.now();
+    }
+    
+    deviceState.connectionState = state;
+    deviceState.connected = state === 'ready';
+    
+    publishEvent(deviceId, 'connection', {
+        status: state,
+        attempt: deviceState.reconnectAttempts,
+        error: error || undefined,
+        nextReconnectAt: deviceState.nextReconnectAt || undefined
+    });
+    updateDeviceState(deviceId);
+}
+
+function describeConnection(deviceState) {
+    return {
+        state: deviceState.connectionState,
+        since: deviceState.connectionStateSince,
+        attempts: deviceState.reconnectAttempts,
+        nextReconnectAt: deviceState.nextReconnectAt,
+        lastError: deviceState.lastError,
+        lastErrorAt: deviceState.lastErrorAt,
+        lastConnectedAt: deviceState.lastConnectedAt
+    };
+}
+
+// Socket error code the library recorded for the remote's last connection, if any
+function getRemoteError(remote) {
+    const error = remote.remoteManager && remote.remoteManager.error;
+    return error ? (error.code || error.message) : null;
+}
+
+// The library reopens closed sockets by itself every second, forever, without backoff.
+// Switch that off for remotes we are done with (or now supervise) so only our lifecycle reconnects.
+function disableLibraryReconnect(remote) {
+    if (remote.remoteManager) {
+        remote.remoteManager.start = () => Promise.resolve(false);
+    }
+}
+
+// Tear down a remote for good: no more events, no more library retries
+function retireRemote(remote) {
+    remote.removeAllListeners();
+    remote.on('error', () => {});
+    
+    const manager = remote.remoteManager;
+    if (manager) {
+        disableLibraryReconnect(remote);
+        manager.removeAllListeners();
+        manager.on('error', () => {});
+        if (manager.client) {
+            manager.client.destroy();
+        }
+    }
+}
+
+// Wait until a remote is ready, rejected as unpaired, failed to start, or timed out
+function waitForReady(remote, startPromise) {
+    return new Promise(resolve => {
+        let done = false;
+        
+        const finish = (outcome) => {
+            if (done) {
+                return;
+            }
+            done = true;
+            clearTimeout(timer);
+            remote.removeListener('ready', onReady);
+            remote.removeListener('unpaired', onUnpaired);
+            resolve(outcome);
+        };
+        const onReady = () => finish({ ready: true });
+        const onUnpaired = () => finish({ unpaired: true });
+        const timer = setTimeout(() => finish({ error: 'ETIMEDOUT' }), CONNECT_TIMEOUT);
+        
+        remote.once('ready', onReady);
+        remote.once('unpaired', onUnpaired);
+        
+        // start() swallows connection errors and resolves without a value
+        if (startPromise) {
+            startPromise.then(started => {
+                if (started !== true) {
+                    finish({ error: getRemoteError(remote) || 'Connection failed' });
+                }
+            }, error => finish({ error: error.message || String(error) }));
+        }
+    });
+}
+
+// Watch a ready remote and reconnect with backoff when its connection drops
+function watchConnection(deviceId, remote) {
+    const manager = remote.remoteManager;
+    if (!manager || !manager.client) {
+        return;
+    }
+    
+    disableLibraryReconnect(remote);
+    
+    // Error messages from the TV (the library doesn't forward these to the remote)
+    manager.on('error', (message) => {
+        const deviceState = devices.get(deviceId);
+        const error = `TV reported error: ${JSON.stringify(message.error || message)}`;
+        connectionLog.error(error, { deviceId });
+        if (deviceState) {
+            deviceState.lastError = error;
+            deviceState.lastErrorAt = Date.now();
+        }
+    });
+    
+    manager.client.once('close', () => {
+        const deviceState = devices.get(deviceId);
+        if (!deviceState || deviceState.remote !== remote) {
+            return;
+        }
+        
+        // A reset after we were ready is a TV reboot or network blip, not a rejected certificate
+        const error = getRemoteError(remote) || 'Connection closed';
+        connectionLog.warn(`Connection lost: ${error}`, { deviceId });
+        getDeviceMetrics(deviceId).disconnects++;
+        retireRemote(remote);
+        scheduleReconnect(deviceId, error);
+    });
+}
+
+// Follow a started remote to its outcome and move the device's lifecycle on
+async function superviseRemote(deviceId, remote, startPromise, alreadyReady = false) {
+    const outcome = alreadyReady ? { ready: true } : await waitForReady(remote, startPromise);
+    
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || deviceState.remote !== remote) {
+        // Superseded by a newer attempt, /disconnect or /unpair
+        return;
+    }
+    
+    if (outcome.ready) {
+        deviceState.reconnectAttempts = 0;
+        watchConnection(deviceId, remote);
+        setConnectionState(deviceId, deviceState, 'ready');
+        return;
+    }
+    
+    retireRemote(remote);
+    
+    // The library reports a certificate rejected during the handshake as a connection reset
+    if (outcome.unpaired || outcome.error === 'ECONNRESET') {
+        setConnectionState(deviceId, deviceState, 'unpaired', 'TV rejected the pairing certificate - pair again');
+        return;
+    }
+    
+    scheduleReconnect(deviceId, outcome.error);
+}
+
+// Start one connection attempt with the stored credentials
+async function attemptConnection(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        return;
+    }
+    
+    clearTimeout(deviceState.reconnectTimer);
+    deviceState.reconnectTimer = null;
+    deviceState.nextReconnectAt = null;
+    
+    if (deviceState.remote) {
+        retireRemote(deviceState.remote);
+        deviceState.remote = null;
+    }
+    
+    const entry = credentials.get(deviceId);
+    if (!entry) {
+        setConnectionState(deviceId, deviceState, 'failed', 'No stored credentials - pair or /connect again');
+        return;
+    }
+    
+    deviceState.host = entry.host;
+    if (deviceState.reconnectAttempts > 0 || deviceState.lastConnectedAt) {
+        getDeviceMetrics(deviceId).reconnects++;
+    }
+    deviceState.reconnectAttempts++;
+    setConnectionState(deviceId, deviceState, 'connecting');
+    connectionLog.info(`Connecting to ${entry.host} (attempt ${deviceState.reconnectAttempts})...`, { deviceId });
+    
+    const remote = new AndroidRemote(entry.host, {
+        name: entry.deviceName,
+        cert: {
+            cert: Buffer.from(entry.certificate, 'base64'),
+            key: Buffer.from(entry.privateKey, 'base64')
+        }
+    });
+    deviceState.remote = remote;
+    instrumentRemote(deviceId, remote);
+    setupRemoteEventListeners(deviceId, remote);
+    
+    await superviseRemote(deviceId, remote, remote.start());
+}
+
+// Retry after a capped exponential backoff: reconnectDelay, x2, x4 ... up to reconnectMaxDelay
+function scheduleReconnect(deviceId, error) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        return;
+    }
+    
+    if (RECONNECT_MAX_ATTEMPTS > 0 && deviceState.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+        setConnectionState(deviceId, deviceState, 'failed', `${error} (gave up after ${deviceState.reconnectAttempts} attempts)`);
+        return;
+    }
+    
+    // "Equal jitter": half the delay is fixed, half random, so TVs that dropped together don't retry in lockstep
+    const backoff = Math.min(RECONNECT_MAX_DELAY, RECONNECT_DELAY * Math.pow(2, Math.max(0, deviceState.reconnectAttempts - 1)));
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    
+    deviceState.nextReconnectAt = Date.now() + delay;
+    deviceState.reconnectTimer = setTimeout(() => attemptConnection(deviceId), delay);
+    
+    setConnectionState(deviceId, deviceState, 'backing-off', error);
+    connectionLog.info(`Reconnecting in ${(delay / 1000).toFixed(1)}s`, { deviceId });
+}
+
+// Stop everything running for a device and forget its live state
+function stopDevice(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        return;
+    }
+    
+    if (deviceState.keepaliveInterval) {
+        clearInterval(deviceState.keepaliveInterval);
+        deviceState.keepaliveInterval = null;
+        connectionLog.info('Keepalive stopped', { deviceId });
+    }
+    
+    stopStatePolling(deviceId);
+    clearTimeout(deviceState.reconnectTimer);
+    
+    // Cancel auto-release timers for held keys
+    deviceState.heldKeys.forEach(timer => clearTimeout(timer));
+    
+    cancelQueuedCommands(deviceId, deviceState, null,
+        new ApiError('DEVICE_NOT_CONNECTED', `Device ${deviceId} was disconnected before the command ran`));
+    
+    devices.delete(deviceId);
+    
+    if (deviceState.remote) {
+        retireRemote(deviceState.remote);
+    }
+}
+
+// ====================
+// Pairing Endpoints
+// ====================
+
+// Pairing sessions: deviceId -> { deviceId, host, deviceName, remote, startPromise, status,
+// codeDisplayed, codeDisplayedAt, startedAt, expiresAt, endedAt, attempts, lastError, ready, timer }.
+// Kept apart from `devices` - a session only becomes a device once the TV accepts the code.
+// Active sessions are torn down after PAIRING_TIMEOUT; ended ones are kept as long again
+// so /pair/status can still say how they ended.
+const pairingSessions = new Map();
+const PAIRING_ACTIVE_STATUSES = ['starting', 'code-displayed', 'verifying'];
+
+function isPairingActive(session) {
+    return Boolean(session) && PAIRING_ACTIVE_STATUSES.includes(session.status);
+}
+
+function setPairingStatus(session, status, error) {
+    session.status = status;
+    if (error !== undefined) {
+        session.lastError = error;
+    }
+    publishEvent(session.deviceId, 'pairing', {
+        status: status,
+        attemptsLeft: Math.max(0, PAIRING_MAX_ATTEMPTS - session.attempts),
+        error: session.lastError || undefined
+    });
+}
+
+// (Re)start the TTL - every new code on the TV gets the full time
+function armPairingExpiry(session) {
+    clearTimeout(session.timer);
+    session.expiresAt = Date.now() + PAIRING_TIMEOUT;
+    session.timer = setTimeout(() => {
+        endPairingSession(session, 'expired', `No code entered within ${PAIRING_TIMEOUT / 1000}s`);
+    }, PAIRING_TIMEOUT);
+}
+
+// The library can only stop the control connection, so close the pairing socket directly.
+// Closing it with an error makes start() give up; a clean close counts as paired and the
+// library would go on to open (and keep reopening) a control connection with the new cert.
+function closePairingRemote(remote) {
+    const manager = remote.pairingManager;
+    if (manager) {
+        manager.removeAllListeners();
+        if (manager.client) {
+            manager.client.destroy(new Error('pairing cancelled'));
+        }
+    }
+    retireRemote(remote);
+}
+
+// Tear down the session's remote (unless it was handed over to the device) and keep the
+// record until it is replaced or ages out
+function endPairingSession(session, status, error) {
+    clearTimeout(session.timer);
+    if (session.remote) {
+        closePairingRemote(session.remote);
+        session.remote = null;
+    }
+    session.endedAt = Date.now();
+    setPairingStatus(session, status, error);
+    pairingLog.info(`Pairing session ${status}${error ? `: ${error}` : ''}`, { deviceId: session.deviceId });
+    
+    session.timer = setTimeout(() => {
+        if (pairingSessions.get(session.deviceId) === session) {
+            pairingSessions.delete(session.deviceId);
+        }
+    }, PAIRING_TIMEOUT);
+}
+
+// Open a pairing connection for the session and wait until the TV shows a code
+async function openPairingRemote(session) {
+    const deviceId = session.deviceId;
+    const remote = new AndroidRemote(session.host, {
+        name: session.deviceName
+    });
+    
+    session.remote = remote;
+    session.codeDisplayed = false;
+    session.codeDisplayedAt = null;
+    session.ready = false;
+    setPairingStatus(session, 'starting');
+    armPairingExpiry(session);
+    
+    // Set up event listeners for pairing
+    remote.on('secret', () => {
+        pairingLog.info('Pairing code displayed on TV', { deviceId });
+        session.codeDisplayed = true;
+        session.codeDisplayedAt = Date.now();
+        setPairingStatus(session, 'code-displayed');
+    });
+    
+    remote.on('ready', () => {
+        pairingLog.info('Remote ready', { deviceId });
+        session.ready = true;
+    });
+    
+    remote.on('unpaired', () => {
+        pairingLog.info('Device unpaired', { deviceId });
+    });
+    
+    remote.on('error', (error) => {
+        pairingLog.error('Remote error', { deviceId, error });
+    });
+    
+    pairingLog.debug('Starting remote.start()...', { deviceId });
+    
+    // start() only resolves once the code has been entered (or pairing failed), so
+    // return as soon as the TV shows the code
+    const startPromise = remote.start();
+    session.startPromise = startPromise;
+    const outcome = await new Promise(resolve => {
+        const timer = setTimeout(() => resolve('timeout'), CONNECT_TIMEOUT);
+        remote.once('secret', () => {
+            clearTimeout(timer);
+            resolve('code');
+        });
+        startPromise.then((started) => {
+            clearTimeout(timer);
+            resolve(started || session.codeDisplayed ? 'code' : 'failed');
+        });
+    });
+    
+    if (session.remote !== remote) {
+        throw new ApiError('NO_PAIRING_SESSION', `Pairing with ${deviceId} was cancelled`);
+    }
+    if (outcome !== 'code') {
+        const error = outcome === 'timeout'
+            ? new ApiError('TIMEOUT', `TV at ${session.host} did not show a pairing code within ${CONNECT_TIMEOUT / 1000}s`)
+            : new ApiError('TV_UNREACHABLE', `Could not reach the pairing service of the TV at ${session.host}`);
+        endPairingSession(session, 'failed', error.message);
+        throw error;
+    }
+}
+
+// After a code was sent: 'ready' once the control connection is up, 'paired' if the TV took the
+// code but the control connection isn't up yet, 'rejected' or 'timeout'. start() swallows pairing
+// errors, so the TV's answer shows in whether the library went on to create a control connection.
+function waitForPairingResult(session, remote) {
+    return new Promise(resolve => {
+        let finished = false;
+        
+        const settle = () => {
+            clearTimeout(timer);
+            remote.removeListener('ready', settle);
+            if (session.ready) {
+                resolve('ready');
+            } else if (remote.remoteManager) {
+                resolve('paired');
+            } else {
+                resolve(finished ? 'rejected' : 'timeout');
+            }
+        };
+        const timer = setTimeout(settle, CONNECT_TIMEOUT);
+        remote.once('ready', settle);
+        session.startPromise.then(() => {
+            finished = true;
+            settle();
+        });
+    });
+}
+
+// A wrong code costs an attempt; while attempts are left the TV is asked for a new code
+async function retryPairingCode(session, remote) {
+    const attemptsLeft = Math.max(0, PAIRING_MAX_ATTEMPTS - session.attempts);
+    if (attemptsLeft === 0) {
+        endPairingSession(session, 'failed', 'Wrong code entered too many times');
+        throw new ApiError('INVALID_PAIRING_CODE', 'Wrong code - no attempts left, start pairing again', { attemptsLeft: 0 });
+    }
+    
+    pairingLog.warn(`Wrong code, asking the TV for a new one (${attemptsLeft} attempt(s) left)`, { deviceId: session.deviceId });
+    closePairingRemote(remote);
+    await openPairingRemote(session);
+    throw new ApiError('INVALID_PAIRING_CODE', `Wrong code - the TV shows a new code (${attemptsLeft} attempt(s) left)`, { attemptsLeft });
+}
+
+// Start a fresh session for a TV, replacing (and cleaning up) any earlier one
+async function startPairingSession(deviceId, host, deviceName) {
+    const existing = pairingSessions.get(deviceId);
+    if (isPairingActive(existing)) {
+        endPairingSession(existing, 'cancelled', 'Replaced by a new pairing session');
+    }
+    if (existing) {
+        clearTimeout(existing.timer);
+    }
+    
+    const session = {
+        deviceId: deviceId,
+        host: host,
+        deviceName: deviceName,
+        remote: null,
+        startPromise: null,
+        status: 'starting',
+        codeDisplayed: false,
+        codeDisplayedAt: null,
+        startedAt: Date.now(),
+        expiresAt: null,
+        endedAt: null,
+        attempts: 0,
+        lastError: null,
+        ready: false,
+        timer: null
+    };
+    pairingSessions.set(deviceId, session);
+    
+    await openPairingRemote(session);
+    return session;
+}
+
+function describePairingSession(session) {
+    const active = isPairingActive(session);
+    return {
+        status: session.status,
+        active: active,
+        host: session.host,
+        codeDisplayed: session.codeDisplayed,
+        codeDisplayedAt: session.codeDisplayedAt,
+        startedAt: session.startedAt,
+        expiresAt: active ? session.expiresAt : null,
+        expiresIn: active ? Math.max(0, Math.round((session.expiresAt - Date.now()) / 1000)) : 0,
+        expired: session.status === 'expired',
+        attempts: session.attempts,
+        attemptsLeft: Math.max(0, PAIRING_MAX_ATTEMPTS - session.attempts),
+        lastError: session.lastError,
+        endedAt: session.endedAt
+    };
+}
+
 // Start pairing
-app.post('/pair/start', async (req, res) => {
-    console.log('\n=== PAIRING START REQUEST ===');
+app.post('/pair/start', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        host: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        deviceName: { type: 'string', maxLength: 64, default: 'Hubitat' },
+        force: { type: 'boolean', default: false }
+    }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const host = req.body.host;
+        const deviceName = req.body.deviceName;
+        
+        pairingAttempts.started++;
+        
+        if (isPairingActive(pairingSessions.get(deviceId)) && !req.body.force) {
+            throw new ApiError('PAIRING_IN_PROGRESS', `Pairing with ${deviceId} already in progress - complete it, cancel it or start again with force: true`);
+        }
+        
+        pairingLog.info(`Pairing with ${host} as '${deviceName}'`, { deviceId });
+        
+        const session = await startPairingSession(deviceId, host, deviceName);
+        
+        pairingLog.info('Pairing initiated', { deviceId, codeDisplayed: session.codeDisplayed });
+        
+        res.json({
+            success: true,
+            message: 'Pairing initiated - check TV for 6-digit code',
+            deviceId: deviceId,
+            codeDisplayed: session.codeDisplayed,
+            pairing: describePairingSession(session)
+        });
+        
+    } catch (error) {
+        pairingLog.error('Pairing start failed', { deviceId: req.body.deviceId, error });
+        pairingAttempts.failed++;
+        pairingLog.debug('Pairing start error details', { deviceId: req.body.deviceId, stack: error.stack });
+        sendError(res, error);
+    }
+});
+
+// Restart pairing with the same host and name - the TV shows a new code
+app.post('/pair/restart', validateRequest({
+    body: { deviceId: DEVICE_ID }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const previous = pairingSessions.get(deviceId);
+        
+        if (!previous) {
+            throw new ApiError('NO_PAIRING_SESSION', 'No pairing session for this device. Start pairing first.');
+        }
+        
+        pairingAttempts.started++;
+        pairingLog.info(`Restarting pairing (was ${previous.status})`, { deviceId });
+        
+        const session = await startPairingSession(deviceId, previous.host, previous.deviceName);
+        
+        res.json({
+            success: true,
+            message: 'Pairing restarted - check TV for the new code',
+            deviceId: deviceId,
+            codeDisplayed: session.codeDisplayed,
+            pairing: describePairingSession(session)
+        });
+        
+    } catch (error) {
+        pairingLog.error('Pairing restart failed', { deviceId: req.body.deviceId, error });
+        pairingAttempts.failed++;
+        sendError(res, error);
+    }
+});
+
+// Cancel a pairing in progress and close its connection to the TV
+app.post('/pair/cancel', validateRequest({
+    body: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const session = pairingSessions.get(deviceId);
+        
+        if (!isPairingActive(session)) {
+            throw new ApiError('NO_PAIRING_SESSION', 'No pairing in progress for this device');
+        }
+        
+        endPairingSession(session, 'cancelled');
+        
+        res.json({
+            success: true,
+            message: 'Pairing cancelled',
+            deviceId: deviceId,
+            pairing: describePairingSession(session)
+        });
+        
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Pairing session status: code shown, attempts left, expiry
+app.get('/pair/status/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    const deviceId = req.params.deviceId;
+    const session = pairingSessions.get(deviceId);
+    
+    res.json({
+        success: true,
+        deviceId: deviceId,
+        paired: credentials.has(deviceId),
+        pairing: session ? describePairingSession(session) : { status: 'none', active: false }
+    });
+});
+
+// Complete pairing
+app.post('/pair/complete', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        // Can be alphanumeric (letters and numbers)
+        code: { type: 'string', required: true, pattern: /^[A-Z0-9]{6}$/i, patternMessage: 'Code must be exactly 6 characters (letters or numbers)' }
+    }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        
+        // Convert to uppercase to ensure consistency
+        const upperCode = req.body.code.toUpperCase();
+        
+        // Get pairing session
+        const session = pairingSessions.get(deviceId);
+        if (session && session.status === 'expired') {
+            throw new ApiError('PAIRING_EXPIRED', 'Pairing session expired - start pairing again');
+        }
+        if (!isPairingActive(session) || !session.remote) {
+            throw new ApiError('NO_PAIRING_SESSION', 'No pairing in progress for this device. Start pairing first.');
+        }
+        if (session.status === 'verifying') {
+            throw new ApiError('PAIRING_IN_PROGRESS', 'A code for this device is already being verified');
+        }
+        
+        const remote = session.remote;
+        session.attempts++;
+        setPairingStatus(session, 'verifying');
+        
+        pairingLog.info('Sending code to TV...', { deviceId });
+        
+        // Send pairing code (use uppercase version). The library checks the code against
+        // the TV's certificate first and drops the pairing connection if it is wrong.
+        const accepted = await remote.sendCode(upperCode);
+        
+        if (accepted === false) {
+            await retryPairingCode(session, remote);
+        }
+        
+        pairingLog.info('Code sent, waiting for the TV to confirm', { deviceId });
+        
+        // The TV has the final say on the code
+        const outcome = await waitForPairingResult(session, remote);
+        
+        if (session.remote !== remote) {
+            throw new ApiError('NO_PAIRING_SESSION', `Pairing was ${session.status} while the code was being verified`);
+        }
+        if (outcome === 'rejected') {
+            await retryPairingCode(session, remote);
+        }
+        if (outcome === 'timeout') {
+            const message = `TV at ${session.host} did not confirm the code within ${CONNECT_TIMEOUT / 1000}s`;
+            endPairingSession(session, 'failed', message);
+            throw new ApiError('TIMEOUT', message);
+        }
+        
+        // Get certificate (contains both cert and key)
+        const cert = remote.getCertificate();
+        
+        if (!cert) {
+            throw new Error('Failed to get certificate from remote');
+        }
+        
+        pairingLog.info('Certificates obtained', { deviceId });
+        
+        const certificate = Buffer.from(cert.cert).toString('base64');
+        const privateKey = Buffer.from(cert.key).toString('base64');
+        
+        // Keep credentials so the bridge can reconnect on its own after a restart
+        rememberCredentials(deviceId, session.host, session.deviceName, certificate, privateKey);
+        
+        // Replace any previous connection for this device (re-pairing)
+        stopDevice(deviceId);
+        
+        // Initialize device state with paired remote
+        const deviceState = initializeDeviceState(deviceId, remote, session.host);
+        deviceState.powerState = 'on';
+        
+        // The pairing remote goes on to open the control connection - supervise it from here
+        superviseRemote(deviceId, remote, session.startPromise, outcome === 'ready');
+        
+        // Start state polling
+        startStatePolling(deviceId);
+        
+        // The remote now belongs to the device; close out the session
+        session.remote = null;
+        endPairingSession(session, 'paired');
+        
+        pairingAttempts.succeeded++;
+        pairingLog.info('Pairing successful', { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'Pairing successful',
+            deviceId: deviceId,
+            certificate: certificate,
+            privateKey: privateKey
+        });
+        
+    } catch (error) {
+        pairingLog.error('Pairing complete failed', { deviceId: req.body.deviceId, error });
+        pairingAttempts.failed++;
+        pairingLog.debug('Pairing complete error details', { deviceId: req.body.deviceId, stack: error.stack });
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Connection Management
+// ====================
+
+// Why an attempt that just ran did not end up ready
+function connectionFailure(deviceId, deviceState) {
+    const state = deviceState.connectionState;
+    if (state === 'unpaired') {
+        return new ApiError('DEVICE_UNPAIRED', `TV ${deviceId} rejected the pairing certificate - pair again`);
+    }
+    if (state === 'connecting' || deviceState.lastError === 'ETIMEDOUT') {
+        return new ApiError('TIMEOUT', `TV ${deviceId} did not answer within ${CONNECT_TIMEOUT / 1000}s - still trying in background`);
+    }
+    const reason = deviceState.lastError ? ` (${deviceState.lastError})` : '';
+    return new ApiError('TV_UNREACHABLE', state === 'failed'
+        ? `TV ${deviceId} unreachable${reason} - gave up retrying`
+        : `TV ${deviceId} unreachable${reason} - retrying in background`);
+}
+
+// Connect to TV
+app.post('/connect', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        host: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+        certificate: { type: 'string', required: true },
+        privateKey: { type: 'string', required: true },
+        deviceName: { type: 'string', maxLength: 64, default: 'Hubitat' },
+        profile: { type: 'string' },
+        mac: MAC_ADDRESS,
+        broadcast: BROADCAST_ADDRESS
+    },
+    // Profiles are defined further down, with the input endpoints
+    check: (req) => req.body.profile !== undefined && !DEVICE_PROFILES[req.body.profile]
+        ? `profile must be one of ${Object.keys(DEVICE_PROFILES).join(', ')}`
+        : null
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const host = req.body.host;
+        const certificate = req.body.certificate;
+        const privateKey = req.body.privateKey;
+        const deviceName = req.body.deviceName;
+        
+        connectionLog.info(`Connect requested for ${host} as '${deviceName}'`, { deviceId });
+        
+        // Remember credentials (also refreshes host if the TV's IP changed)
+        rememberCredentials(deviceId, host, deviceName, certificate, privateKey);
+        
+        if (req.body.profile && getDeviceProfile(deviceId).id !== req.body.profile) {
+            const settings = getDeviceSettings(deviceId);
+            settings.profile = req.body.profile;
+            settings.updatedAt = Date.now();
+            saveDeviceProfiles();
+            connectionLog.info(`Profile set to ${req.body.profile}`, { deviceId });
+        }
+        if (req.body.mac || req.body.broadcast) {
+            rememberWakeOnLan(deviceId, req.body.mac, req.body.broadcast);
+        }
+        
+        // Check if already connected
+        const existing = devices.get(deviceId);
+        if (existing && existing.remote && existing.connected) {
+            connectionLog.info('Already connected, reusing existing connection', { deviceId });
+            return res.json({
+                success: true,
+                message: 'Already connected (reused existing)',
+                deviceId: deviceId,
+                connection: describeConnection(existing)
+            });
+        }
+        
+        // Known but not connected - retry right away instead of waiting out the backoff
+        if (existing) {
+            existing.reconnectAttempts = 0;
+            await attemptConnection(deviceId);
+        } else {
+            await connectDevice(deviceId);
+        }
+        
+        const deviceState = devices.get(deviceId);
+        
+        // Not ready yet: the lifecycle keeps retrying in the background
+        if (!deviceState.connected) {
+            return sendError(res, connectionFailure(deviceId, deviceState), {
+                deviceId: deviceId,
+                connection: describeConnection(deviceState)
+            });
+        }
+        
+        connectionLog.info('Connected successfully', { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'Connected successfully',
+            deviceId: deviceId,
+            connection: describeConnection(deviceState)
+        });
+        
+    } catch (error) {
+        connectionLog.error('Connection error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// Disconnect
+app.post('/disconnect', validateRequest({
+    body: { deviceId: DEVICE_ID }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        
+        requireKnownDevice(deviceId);
+        
+        // Stops keepalive, polling, reconnect attempts and the remote itself
+        stopDevice(deviceId);
+        
+        connectionLog.info('Disconnected', { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'Disconnected'
+        });
+        
+    } catch (error) {
+        connectionLog.error('Disconnect error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// Get status
+app.get('/status/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), async (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        
+        const deviceState = requireKnownDevice(deviceId);
+        if (!deviceState) {
+            connectionLog.debug('Status query - device not found', { deviceId });
+            return res.json({
+                success: true,
+                connected: false,
+                deviceId: deviceId
+            });
+        }
+        
+        // Update state before returning
+        await updateDeviceState(deviceId);
+        
+        const response = {
+            success: true,
+            connected: deviceState.connected,
+            deviceId: deviceId,
+            connection: describeConnection(deviceState),
+            queue: describeQueue(deviceState),
+            profile: getDeviceProfile(deviceId).id,
+            presence: describePresence(deviceState),
+            state: {
+                powerState: deviceState.powerState || 'unknown',
+                presence: deviceState.presence.state,
+                volume: deviceState.volume || 0,
+                volumeMax: deviceState.volumeMax,
+                muted: deviceState.muted || false,
+                currentApp: deviceState.currentApp || 'unknown',
+                currentAppName: appDisplayName(deviceId, deviceState.currentApp),
+                lastActivity: deviceState.lastActivity
+            }
+        };
+        
+        connectionLog.debug('Status query response', { deviceId, state: response.state });
+        
+        res.json(response);
+        
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            connectionLog.error('Status error', { deviceId: req.params.deviceId, error });
+        }
+        sendError(res, error);
+    }
+});
+
+// Reconnect now, skipping any backoff wait (works from every state, including unpaired and failed)
+app.post('/reconnect', validateRequest({
+    body: { deviceId: DEVICE_ID }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        
+        requireKnownDevice(deviceId);
+        
+        connectionLog.info('Manual reconnect requested', { deviceId });
+        
+        if (devices.has(deviceId)) {
+            devices.get(deviceId).reconnectAttempts = 0;
+            await attemptConnection(deviceId);
+        } else {
+            await connectDevice(deviceId);
+        }
+        
+        const deviceState = devices.get(deviceId);
+        
+        if (!deviceState.connected) {
+            return sendError(res, connectionFailure(deviceId, deviceState), {
+                connected: false,
+                deviceId: deviceId,
+                connection: describeConnection(deviceState)
+            });
+        }
+        
+        res.json({
+            success: true,
+            connected: true,
+            deviceId: deviceId,
+            connection: describeConnection(deviceState)
+        });
+        
+    } catch (error) {
+        connectionLog.error('Reconnect error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// Get power state specifically
+app.get('/power/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), async (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        
+        const deviceState = requireKnownDevice(deviceId);
+        if (!deviceState) {
+            return res.json({
+                success: true,
+                powerState: 'unknown',
+                deviceId: deviceId
+            });
+        }
+        
+        connectionLog.debug('Querying power state...', { deviceId });
+        
+        // Force power state detection
+        await updateDeviceState(deviceId);
+        
+        const powerState = deviceState.powerState || 'unknown';
+        
+        connectionLog.info(`Power state: ${powerState}`, { deviceId });
+        
+        res.json({
+            success: true,
+            powerState: powerState,
+            deviceId: deviceId
+        });
+        
+    } catch (error) {
+        if (!(error instanceof ApiError)) {
+            connectionLog.error('Power query error', { deviceId: req.params.deviceId, error });
+        }
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Wake-on-LAN
+// ====================
+
+// In deep standby a TV closes its remote service, so WAKEUP can't reach it until a
+// magic packet has woken the network stack. POST /power/on runs three steps - 'wol',
+// 'connect', 'wakeup' - and reports each as ok, skipped or failed.
+const WOL_PORT = 9;
+const WOL_DEFAULT_BROADCAST = '255.255.255.255';
+const WAKE_RETRY_INTERVAL = 2000;
+
+// AA:BB:CC:DD:EE:FF from any of the usual spellings
+function normalizeMac(mac) {
+    return mac.replace(/[:-]/g, '').toUpperCase().match(/.{2}/g).join(':');
+}
+
+function rememberWakeOnLan(deviceId, mac, broadcast) {
+    const entry = credentials.get(deviceId);
+    const normalized = mac ? normalizeMac(mac) : entry.mac;
+    const address = broadcast || entry.broadcast;
+    if (normalized === entry.mac && address === entry.broadcast) {
+        return;
+    }
+    
+    entry.mac = normalized;
+    entry.broadcast = address;
+    saveCredentials();
+    connectionLog.info(`Wake-on-LAN address set to ${normalized} via ${address || WOL_DEFAULT_BROADCAST}`, { deviceId });
+}
+
+// Magic packet: 6 x 0xFF followed by the MAC 16 times, as a UDP broadcast
+function sendMagicPacket(mac, broadcast) {
+    const macBytes = Buffer.from(mac.replace(/:/g, ''), 'hex');
+    const packet = Buffer.alloc(102, 0xff);
+    for (let i = 0; i < 16; i++) {
+        macBytes.copy(packet, 6 + i * 6);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', (error) => {
+            socket.close();
+            reject(error);
+        });
+        socket.bind(() => {
+            socket.setBroadcast(true);
+            socket.send(packet, WOL_PORT, broadcast, (error) => {
+                socket.close();
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    });
+}
+
+// Keep waking and reconnecting until the TV is ready, unpaired, or WAKE_TIMEOUT passes
+async function wakeAndConnect(deviceId, entry, wolStep, connectStep) {
+    const deadline = Date.now() + WAKE_TIMEOUT;
+    let deviceState = devices.get(deviceId);
+    
+    while (!deviceState || !deviceState.connected) {
+        if (entry.mac) {
+            try {
+                await sendMagicPacket(entry.mac, entry.broadcast || WOL_DEFAULT_BROADCAST);
+                wolStep.status = 'ok';
+                wolStep.packets++;
+            } catch (error) {
+                // Sending can fail while the TV still wakes some other way - keep connecting
+                if (wolStep.packets === 0) {
+                    wolStep.status = 'failed';
+                    wolStep.error = error.message;
+                }
+                connectionLog.warn('Could not send magic packet', { deviceId, error });
+            }
+        }
+        
+        connectStep.attempts++;
+        if (deviceState) {
+            deviceState.reconnectAttempts = 0;
+            await attemptConnection(deviceId);
+        } else {
+            deviceState = await connectDevice(deviceId);
+        }
+        
+        if (deviceState.connected || deviceState.connectionState === 'unpaired' || Date.now() + WAKE_RETRY_INTERVAL > deadline) {
+            break;
+        }
+        await new Promise(resolve => setTimeout(resolve, WAKE_RETRY_INTERVAL));
+    }
+    
+    return deviceState;
+}
+
+// Power a TV on from any state: magic packet, reconnect, then WAKEUP
+app.post('/power/on', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        mac: MAC_ADDRESS,
+        broadcast: BROADCAST_ADDRESS
+    }
+}), async (req, res) => {
+    const deviceId = req.body.deviceId;
+    const startedAt = Date.now();
+    const wolStep = { step: 'wol', status: 'skipped', packets: 0 };
+    const connectStep = { step: 'connect', status: 'skipped', attempts: 0 };
+    const wakeStep = { step: 'wakeup', status: 'skipped' };
+    const steps = [wolStep, connectStep, wakeStep];
+    
+    try {
+        if (!credentials.has(deviceId)) {
+            throw new ApiError('DEVICE_NOT_FOUND', `Device ${deviceId} has no stored credentials - pair or /connect it first`);
+        }
+        if (req.body.mac || req.body.broadcast) {
+            rememberWakeOnLan(deviceId, req.body.mac, req.body.broadcast);
+        }
+        const entry = credentials.get(deviceId);
+        
+        let deviceState = devices.get(deviceId);
+        if (deviceState && deviceState.connected) {
+            connectStep.detail = 'already connected';
+        } else {
+            connectionLog.info(`Powering on${entry.mac ? ` (Wake-on-LAN to ${entry.mac})` : ''}...`, { deviceId });
+            
+            wolStep.detail = entry.mac ? `${entry.mac} via ${entry.broadcast || WOL_DEFAULT_BROADCAST}:${WOL_PORT}` : 'no MAC address stored';
+            deviceState = await wakeAndConnect(deviceId, entry, wolStep, connectStep);
+            connectStep.durationMs = Date.now() - startedAt;
+            
+            if (!deviceState.connected) {
+                connectStep.status = 'failed';
+                throw deviceState.connectionState === 'unpaired'
+                    ? connectionFailure(deviceId, deviceState)
+                    : new ApiError('TV_UNREACHABLE', entry.mac
+                        ? `TV did not come back within ${WAKE_TIMEOUT / 1000}s of the magic packet`
+                        : `TV not reachable and no MAC address stored for Wake-on-LAN`);
+            }
+            connectStep.status = 'ok';
+        }
+        
+        try {
+            await queueCommand(deviceId, 'power on', () => sendKeyPress(deviceId, deviceState, 224, 'WAKEUP'), { priority: 'high' });
+            wakeStep.status = 'ok';
+        } catch (error) {
+            wakeStep.status = 'failed';
+            throw error;
+        }
+        
+        connectionLog.info(`Powered on in ${Date.now() - startedAt}ms`, { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'TV powered on',
+            deviceId: deviceId,
+            steps: steps,
+            durationMs: Date.now() - startedAt,
+            connection: describeConnection(deviceState)
+        });
+        
+    } catch (error) {
+        connectionLog.error('Power on error', { deviceId, error });
+        if (wakeStep.status === 'failed') {
+            wakeStep.error = error.message;
+        }
+        sendError(res, error, {
+            deviceId: deviceId,
+            steps: steps,
+            durationMs: Date.now() - startedAt
+        });
+    }
+});
+
+// ====================
+// Command Queue
+// ====================
+
+// Everything sent to a TV goes through that TV's queue: commands run one at a time in
+// arrival order, COMMAND_SPACING apart, so a scene's volume loop can't interleave with
+// keys from the driver. A command is one logical action (a key with its repeats, a whole
+// volume ramp, a text string). High-priority commands go ahead of all normal ones.
+const COMMAND_PRIORITIES = ['normal', 'high'];
+const HIGH_PRIORITY_KEYS = [26, 223, 224]; // POWER, SLEEP, WAKEUP
+
+function keyPriority(keyCode) {
+    return HIGH_PRIORITY_KEYS.includes(keyCode) ? 'high' : 'normal';
+}
+
+// Run `task` when its turn comes; resolves or rejects with the task's own result.
+// options: { source: 'api' | 'scene' | 'sync' | 'schedule' | 'sleep-timer' | 'hold', priority }
+async function queueCommand(deviceId, label, task, options = {}) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        throw new ApiError('DEVICE_NOT_CONNECTED', `Device ${deviceId} not connected`);
+    }
+    
+    const queue = deviceState.commandQueue;
+    if (queue.pending.length >= COMMAND_QUEUE_DEPTH) {
+        throw new ApiError('QUEUE_FULL', `Command queue for ${deviceId} is full (${COMMAND_QUEUE_DEPTH} pending)`);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const command = {
+            id: ++queue.lastId,
+            label: label,
+            source: options.source || 'api',
+            priority: options.priority || 'normal',
+            queuedAt: Date.now(),
+            startedAt: null,
+            task: task,
+            resolve: resolve,
+            reject: reject
+        };
+        
+        if (command.priority === 'high') {
+            // Behind earlier high-priority commands, ahead of everything else
+            const index = queue.pending.findIndex(pending => pending.priority !== 'high');
+            queue.pending.splice(index === -1 ? queue.pending.length : index, 0, command);
+        } else {
+            queue.pending.push(command);
+        }
+        
+        if (queue.pending.length > 1 || queue.running) {
+            commandLog.debug(`Queued #${command.id} ${label} (${command.priority}, ${queue.pending.length} pending)`, { deviceId });
+        }
+        drainCommandQueue(deviceId, deviceState);
+    });
+}
+
+async function drainCommandQueue(deviceId, deviceState) {
+    const queue = deviceState.commandQueue;
+    if (queue.draining) {
+        return;
+    }
+    queue.draining = true;
+    
+    while (queue.pending.length > 0) {
+        const wait = queue.lastFinishedAt + COMMAND_SPACING - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        
+        // Re-read after the wait: a command may have been cancelled or jumped the queue
+        const command = queue.pending.shift();
+        if (!command) {
+            break;
+        }
+        if (!deviceState.connected || devices.get(deviceId) !== deviceState) {
+            command.reject(new ApiError('DEVICE_NOT_CONNECTED', `Device ${deviceId} not connected (${deviceState.connectionState})`));
+            continue;
+        }
+        
+        queue.running = command;
+        command.startedAt = Date.now();
+        try {
+            command.resolve(await command.task());
+        } catch (error) {
+            command.reject(error);
+        }
+        queue.running = null;
+        queue.lastFinishedAt = Date.now();
+    }
+    
+    queue.draining = false;
+}
+
+// Reject pending commands (all of them, or those matching `filter`); the running one finishes
+function cancelQueuedCommands(deviceId, deviceState, filter, error) {
+    const queue = deviceState.commandQueue;
+    const cancelled = queue.pending.filter(command => !filter || filter(command));
+    queue.pending = queue.pending.filter(command => !cancelled.includes(command));
+    
+    cancelled.forEach(command => command.reject(error || new ApiError('COMMAND_CANCELLED', `Command #${command.id} (${command.label}) was cancelled`)));
+    if (cancelled.length > 0) {
+        commandLog.info(`Cancelled ${cancelled.length} queued command(s)`, { deviceId });
+    }
+    return cancelled;
+}
+
+function describeCommand(command) {
+    return {
+        id: command.id,
+        command: command.label,
+        source: command.source,
+        priority: command.priority,
+        queuedAt: command.queuedAt,
+        startedAt: command.startedAt
+    };
+}
+
+function describeQueue(deviceState, includePending) {
+    const queue = deviceState.commandQueue;
+    const summary = {
+        depth: queue.pending.length,
+        running: queue.running ? describeCommand(queue.running) : null
+    };
+    if (includePending) {
+        summary.pending = queue.pending.map(describeCommand);
+    }
+    return summary;
+}
+
+// Inspect a device's queue
+app.get('/queue/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        const deviceState = requireKnownDevice(deviceId);
+        
+        res.json({
+            success: true,
+            deviceId: deviceId,
+            queue: deviceState ? describeQueue(deviceState, true) : { depth: 0, running: null, pending: [] },
+            spacing: COMMAND_SPACING,
+            maxDepth: COMMAND_QUEUE_DEPTH
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Cancel every pending command for a device (?source=scene limits it to one source)
+app.delete('/queue/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID },
+    query: { source: { type: 'string', maxLength: 32 } }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        const source = req.query.source;
+        const deviceState = requireKnownDevice(deviceId);
+        
+        const cancelled = deviceState
+            ? cancelQueuedCommands(deviceId, deviceState, source ? command => command.source === source : null)
+            : [];
+        
+        res.json({
+            success: true,
+            message: `Cancelled ${cancelled.length} command(s)`,
+            deviceId: deviceId,
+            cancelled: cancelled.map(describeCommand)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Cancel one pending command
+app.delete('/queue/:deviceId/:commandId', validateRequest({
+    params: {
+        deviceId: DEVICE_ID,
+        commandId: { type: 'integer', required: true, min: 1 }
+    }
+}), (req, res) => {
+    try {
+        const { deviceId, commandId } = req.params;
+        const deviceState = requireKnownDevice(deviceId);
+        
+        const cancelled = deviceState
+            ? cancelQueuedCommands(deviceId, deviceState, command => command.id === commandId)
+            : [];
+        if (cancelled.length === 0) {
+            const running = deviceState && deviceState.commandQueue.running;
+            throw new ApiError('COMMAND_NOT_FOUND', running && running.id === commandId
+                ? `Command #${commandId} is already running`
+                : `No pending command #${commandId} for ${deviceId}`);
+        }
+        
+        res.json({
+            success: true,
+            message: `Command #${commandId} cancelled`,
+            deviceId: deviceId,
+            cancelled: describeCommand(cancelled[0])
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ====================
+// App Catalog
+// ====================
+
+// Apps seen on each TV: deviceId -> { [package]: { package, name, launchUri, source,
+// firstSeen, lastSeen, seenCount } }. `source` is 'seen' until a name or launch URI is set
+// through the API ('manual'); seeing the app again never overwrites manual fields.
+const appCatalog = new Map();
+
+// Friendly names and launch URIs for common packages; anything else launches via market://
+const KNOWN_APPS = {
+    'com.netflix.ninja': { name: 'Netflix', launchUri: 'https://www.netflix.com/' },
+    'com.google.android.youtube.tv': { name: 'YouTube', launchUri: 'vnd.youtube://' },
+    'com.disney.disneyplus': { name: 'Disney+', launchUri: 'https://www.disneyplus.com/' },
+    'com.spotify.tv.android': { name: 'Spotify', launchUri: 'spotify://' },
+    'com.plexapp.android': { name: 'Plex', launchUri: 'plex://' },
+    'com.amazon.amazonvideo.livingroom': { name: 'Prime Video', launchUri: 'https://app.primevideo.com/' },
+    'com.hulu.livingroomplus': { name: 'Hulu', launchUri: 'hulu://' },
+    'com.wbd.stream': { name: 'Max', launchUri: 'hbomax://' },
+    'com.cbs.ott': { name: 'Paramount+', launchUri: 'https://www.paramountplus.com/' },
+    'com.google.android.youtube.tvunplugged': { name: 'YouTube TV', launchUri: 'https://tv.youtube.com/' },
+    'com.peacocktv.peacockandroid': { name: 'Peacock', launchUri: 'https://www.peacocktv.com/' },
+    'com.google.android.youtube.tvmusic': { name: 'YouTube Music', launchUri: 'https://music.youtube.com/' },
+    'com.pandora.android.gtv': { name: 'Pandora', launchUri: 'pandora://' },
+    'com.google.android.tvlauncher': { name: 'Home Screen', launchUri: null }
+};
+
+const PACKAGE_PATTERN = /^[a-zA-Z][\w]*(\.[\w]+)+$/;
+
+function saveAppCatalog() {
+    saveMapStore('appCatalog', appCatalog);
+}
+
+loadMapStore('appCatalog', appCatalog);
+
+function getDeviceCatalog(deviceId) {
+    if (!appCatalog.has(deviceId)) {
+        appCatalog.set(deviceId, {});
+    }
+    return appCatalog.get(deviceId);
+}
+
+// Record a package reported by the TV. Launch links we sent ourselves are not packages.
+// Only a new entry is written at once; lastSeen and seenCount ride along with a later save.
+function recordAppSeen(deviceId, appPackage) {
+    if (!appPackage || !PACKAGE_PATTERN.test(appPackage)) {
+        return;
+    }
+    
+    const catalog = getDeviceCatalog(deviceId);
+    const now = Date.now();
+    let entry = catalog[appPackage];
+    const isNew = !entry;
+    if (isNew) {
+        const known = KNOWN_APPS[appPackage] || {};
+        entry = catalog[appPackage] = {
+            package: appPackage,
+            name: known.name || appPackage,
+            launchUri: known.launchUri !== undefined ? known.launchUri : `market://launch?id=${appPackage}`,
+            source: 'seen',
+            firstSeen: now,
+            lastSeen: now,
+            seenCount: 0
+        };
+        commandLog.info(`New app in catalog: ${entry.name} (${appPackage})`, { deviceId });
+    }
+    entry.lastSeen = now;
+    entry.seenCount++;
+    if (isNew) {
+        saveAppCatalog();
+    } else {
+        saveMapStoreSoon('appCatalog', appCatalog);
+    }
+}
+
+// Find a catalog entry by package or (case-insensitive) friendly name
+function findCatalogApp(deviceId, app) {
+    const catalog = appCatalog.get(deviceId) || {};
+    if (catalog[app]) {
+        return catalog[app];
+    }
+    const wanted = app.toLowerCase();
+    return Object.values(catalog).find(entry => entry.name.toLowerCase() === wanted) || null;
+}
+
+// Friendly name for a package (or launch link) the TV is showing
+function appDisplayName(deviceId, app) {
+    if (!app || app === 'unknown') {
+        return 'unknown';
+    }
+    const entry = findCatalogApp(deviceId, app);
+    if (entry) {
+        return entry.name;
+    }
+    return KNOWN_APPS[app] ? KNOWN_APPS[app].name : app;
+}
+
+// Turn a friendly name, package or link into { launchUri, package } for sendAppLink
+function resolveAppLaunch(deviceId, app) {
+    if (app.includes('://')) {
+        return { launchUri: app, package: null };
+    }
+    
+    let entry = findCatalogApp(deviceId, app);
+    if (!entry) {
+        const wanted = app.toLowerCase();
+        const knownPackage = Object.keys(KNOWN_APPS).find(appPackage => KNOWN_APPS[appPackage].name.toLowerCase() === wanted);
+        if (knownPackage) {
+            entry = { package: knownPackage, ...KNOWN_APPS[knownPackage] };
+        } else if (PACKAGE_PATTERN.test(app)) {
+            entry = { package: app, launchUri: `market://launch?id=${app}` };
+        }
+    }
+    
+    if (!entry) {
+        throw new ApiError('APP_NOT_FOUND', `No app '${app}' in the catalog of ${deviceId}`);
+    }
+    if (!entry.launchUri) {
+        throw new ApiError('INVALID_REQUEST', `App '${entry.name || app}' has no launch URI - set one with /apps/save`);
+    }
+    return { launchUri: entry.launchUri, package: entry.package };
+}
+
+// List a TV's catalog, most recently seen first
+app.get('/apps/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        requireKnownDevice(deviceId);
+        
+        const apps = Object.values(appCatalog.get(deviceId) || {})
+            .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0));
+        
+        res.json({
+            success: true,
+            deviceId: deviceId,
+            apps: apps,
+            count: apps.length
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Get one catalog entry by package or friendly name
+app.get('/apps/:deviceId/:app', validateRequest({
+    params: { deviceId: DEVICE_ID, app: NAME }
+}), (req, res) => {
+    try {
+        requireKnownDevice(req.params.deviceId);
+        const entry = findCatalogApp(req.params.deviceId, req.params.app);
+        if (!entry) {
+            throw new ApiError('APP_NOT_FOUND', `No app '${req.params.app}' in the catalog of ${req.params.deviceId}`);
+        }
+        res.json({ success: true, deviceId: req.params.deviceId, app: entry });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Add an app or change its name/launch URI
+app.post('/apps/save', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        package: { type: 'string', required: true, pattern: PACKAGE_PATTERN, patternMessage: 'package must be an Android package name like com.example.app' },
+        name: { type: 'string', minLength: 1, maxLength: 64 },
+        launchUri: { type: 'string', minLength: 1, maxLength: 2048 }
+    }
+}), (req, res) => {
+    try {
+        const { deviceId, name, launchUri } = req.body;
+        const appPackage = req.body.package;
+        requireKnownDevice(deviceId);
+        
+        const catalog = getDeviceCatalog(deviceId);
+        const clash = name && findCatalogApp(deviceId, name);
+        if (clash && clash.package !== appPackage) {
+            throw new ApiError('INVALID_REQUEST', `Name '${name}' is already used by ${clash.package}`);
+        }
+        
+        const known = KNOWN_APPS[appPackage] || {};
+        const existing = catalog[appPackage];
+        const entry = catalog[appPackage] = {
+            package: appPackage,
+            name: name || (existing ? existing.name : known.name || appPackage),
+            launchUri: launchUri || (existing ? existing.launchUri : known.launchUri || `market://launch?id=${appPackage}`),
+            source: 'manual',
+            firstSeen: existing ? existing.firstSeen : null,
+            lastSeen: existing ? existing.lastSeen : null,
+            seenCount: existing ? existing.seenCount : 0
+        };
+        saveAppCatalog();
+        
+        commandLog.info(`App ${existing ? 'updated' : 'added'}: ${entry.name} (${appPackage})`, { deviceId });
+        
+        res.json({
+            success: true,
+            message: `App '${entry.name}' saved`,
+            deviceId: deviceId,
+            app: entry
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Remove an app from a TV's catalog (it is added again the next time the TV reports it)
+app.delete('/apps/:deviceId/:app', validateRequest({
+    params: { deviceId: DEVICE_ID, app: NAME }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        requireKnownDevice(deviceId);
+        const entry = findCatalogApp(deviceId, req.params.app);
+        if (!entry) {
+            throw new ApiError('APP_NOT_FOUND', `No app '${req.params.app}' in the catalog of ${deviceId}`);
+        }
+        
+        delete appCatalog.get(deviceId)[entry.package];
+        saveAppCatalog();
+        
+        res.json({
+            success: true,
+            message: `App '${entry.name}' removed`,
+            deviceId: deviceId,
+            package: entry.package
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Device Profiles
+// ====================
+
+// Manufacturers differ in which remote keys they honour. Each TV is assigned a profile
+// that declares the keys it ignores, how far one VOLUME_UP/DOWN moves its reported level,
+// and how logical inputs ("HDMI 2") are selected, in the order the strategies are tried:
+//   'sequence' - a menu-navigation sequence recorded for this TV (see /input/record)
+//   'key'      - the input's own Android TV key (242-250), unless the profile ignores it
+const DEVICE_PROFILES = {
+    generic: {
+        name: 'Generic Android TV',
+        unsupportedKeys: [],
+        volumeStep: 1,
+        inputStrategies: ['sequence', 'key']
+    },
+    sony: {
+        name: 'Sony Bravia',
+        unsupportedKeys: [],
+        volumeStep: 1,
+        inputStrategies: ['sequence', 'key']
+    },
+    // Philips firmware ignores the input keys, the input menu key and LAST_CHANNEL
+    // (see LIMITATIONS.md), so inputs only work through recorded sequences
+    philips: {
+        name: 'Philips Android TV',
+        unsupportedKeys: [178, 229, 242, 243, 244, 245, 246, 247, 248, 249, 250],
+        volumeStep: 1,
+        inputStrategies: ['sequence']
+    },
+    // A streamer: HDMI keys are passed on to the TV over CEC, it has no tuner or analog inputs
+    shield: {
+        name: 'NVIDIA Shield',
+        unsupportedKeys: [178, 242, 247, 248, 249, 250],
+        volumeStep: 1,
+        inputStrategies: ['sequence', 'key']
+    }
+};
+
+const DEFAULT_PROFILE = 'generic';
+
+// Logical inputs and the key that selects each directly. Names are matched ignoring
+// case, spaces, dashes and underscores, so "HDMI 2", "hdmi-2" and "HDMI2" are the same.
+const TV_INPUTS = {
+    antenna: { name: 'Antenna', keyCode: 242, aliases: ['tv', 'cable', 'tuner'] },
+    hdmi1: { name: 'HDMI 1', keyCode: 243, aliases: [] },
+    hdmi2: { name: 'HDMI 2', keyCode: 244, aliases: [] },
+    hdmi3: { name: 'HDMI 3', keyCode: 245, aliases: [] },
+    hdmi4: { name: 'HDMI 4', keyCode: 246, aliases: [] },
+    composite1: { name: 'Composite 1', keyCode: 247, aliases: ['av', 'av1'] },
+    component1: { name: 'Component 1', keyCode: 248, aliases: [] },
+    component2: { name: 'Component 2', keyCode: 249, aliases: [] },
+    vga: { name: 'VGA', keyCode: 250, aliases: ['pc', 'vga1'] }
+};
+
+// Recorded sequences are plain navigation: keys and waits
+const INPUT_SEQUENCE_STEP_TYPES = ['key', 'wait'];
+const INPUT_SEQUENCE_MAX_STEPS = 50;
+
+// Per-TV settings: deviceId -> { deviceId, profile, volumeStep, inputs: { [input]:
+// { steps, recordedAt } }, updatedAt }. volumeStep null means the profile's own.
+const deviceProfiles = new Map();
+
+function saveDeviceProfiles() {
+    saveMapStore('deviceProfiles', deviceProfiles);
+}
+
+loadMapStore('deviceProfiles', deviceProfiles);
+
+function getDeviceSettings(deviceId) {
+    if (!deviceProfiles.has(deviceId)) {
+        deviceProfiles.set(deviceId, {
+            deviceId: deviceId,
+            profile: DEFAULT_PROFILE,
+            volumeStep: null,
+            inputs: {},
+            updatedAt: null
+        });
+    }
+    return deviceProfiles.get(deviceId);
+}
+
+// The profile in effect for a TV, with its own overrides applied
+function getDeviceProfile(deviceId) {
+    const settings = deviceProfiles.get(deviceId);
+    const id = settings && DEVICE_PROFILES[settings.profile] ? settings.profile : DEFAULT_PROFILE;
+    const profile = DEVICE_PROFILES[id];
+    
+    return {
+        ...profile,
+        id: id,
+        volumeStep: settings && settings.volumeStep ? settings.volumeStep : profile.volumeStep,
+        sequences: settings ? settings.inputs : {}
+    };
+}
+
+function isKeySupported(deviceId, keyCode) {
+    return !getDeviceProfile(deviceId).unsupportedKeys.includes(keyCode);
+}
+
+// Logical input id for a name or alias, or null
+function findInput(name) {
+    const wanted = String(name).toLowerCase().replace(/[\s_-]/g, '');
+    if (TV_INPUTS[wanted]) {
+        return wanted;
+    }
+    return Object.keys(TV_INPUTS).find(id => TV_INPUTS[id].aliases.includes(wanted)) || null;
+}
+
+function requireInput(name) {
+    const input = findInput(name);
+    if (!input) {
+        throw new ApiError('INVALID_REQUEST', `Unknown input '${name}' - valid: ${Object.values(TV_INPUTS).map(entry => entry.name).join(', ')}`);
+    }
+    return input;
+}
+
+// How an input would be selected on a TV: { strategy, keyCode | steps }, or null
+function resolveInput(deviceId, input) {
+    const profile = getDeviceProfile(deviceId);
+    
+    for (const strategy of profile.inputStrategies) {
+        if (strategy === 'sequence' && profile.sequences[input]) {
+            return { strategy: 'sequence', steps: profile.sequences[input].steps };
+        }
+        if (strategy === 'key' && !profile.unsupportedKeys.includes(TV_INPUTS[input].keyCode)) {
+            return { strategy: 'key', keyCode: TV_INPUTS[input].keyCode };
+        }
+    }
+    return null;
+}
+
+function checkInputSequence(steps) {
+    if (steps.length > INPUT_SEQUENCE_MAX_STEPS) {
+        return `A sequence may have at most ${INPUT_SEQUENCE_MAX_STEPS} steps`;
+    }
+    const invalid = steps.findIndex(step => !INPUT_SEQUENCE_STEP_TYPES.includes(step.type));
+    if (invalid !== -1) {
+        return `steps[${invalid}].type must be one of ${INPUT_SEQUENCE_STEP_TYPES.join(', ')}`;
+    }
+    return null;
+}
+
+function describeProfile(deviceId) {
+    const profile = getDeviceProfile(deviceId);
+    const inputs = {};
+    for (const [input, entry] of Object.entries(TV_INPUTS)) {
+        const resolved = resolveInput(deviceId, input);
+        inputs[input] = {
+            name: entry.name,
+            strategy: resolved ? resolved.strategy : null,
+            recordedAt: profile.sequences[input] ? profile.sequences[input].recordedAt : null
+        };
+    }
+    
+    return {
+        profile: profile.id,
+        name: profile.name,
+        unsupportedKeys: profile.unsupportedKeys,
+        volumeStep: profile.volumeStep,
+        inputStrategies: profile.inputStrategies,
+        inputs: inputs
+    };
+}
+
+// Built-in profiles
+app.get('/profiles', (req, res) => {
+    res.json({
+        success: true,
+        default: DEFAULT_PROFILE,
+        profiles: Object.entries(DEVICE_PROFILES).map(([id, profile]) => ({ id, ...profile }))
+    });
+});
+
+// A TV's profile and how each input would be selected
+app.get('/profile/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        requireKnownDevice(deviceId);
+        
+        res.json({ success: true, deviceId: deviceId, ...describeProfile(deviceId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Assign a profile and/or override its volume step (0 goes back to the profile's)
+app.post('/profile/set', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        profile: { type: 'string', enum: Object.keys(DEVICE_PROFILES) },
+        volumeStep: { type: 'integer', min: 0, max: 10 }
+    },
+    check: (req) => req.body.profile === undefined && req.body.volumeStep === undefined
+        ? 'Give profile and/or volumeStep'
+        : null
+}), (req, res) => {
+    try {
+        const { deviceId, profile, volumeStep } = req.body;
+        requireKnownDevice(deviceId);
+        
+        const settings = getDeviceSettings(deviceId);
+        if (profile !== undefined) {
+            settings.profile = profile;
+        }
+        if (volumeStep !== undefined) {
+            settings.volumeStep = volumeStep || null;
+        }
+        settings.updatedAt = Date.now();
+        saveDeviceProfiles();
+        
+        commandLog.info(`Profile set to ${settings.profile}${settings.volumeStep ? ` (volume step ${settings.volumeStep})` : ''}`, { deviceId });
+        
+        res.json({ success: true, deviceId: deviceId, ...describeProfile(deviceId) });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Record the menu-navigation sequence that selects an input on this TV
+app.post('/input/record', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        input: NAME,
+        steps: { type: 'array', required: true, minItems: 1, items: { type: 'object' } }
+    },
+    check: (req) => checkInputSequence(req.body.steps)
+}), (req, res) => {
+    try {
+        const { deviceId, steps } = req.body;
+        requireKnownDevice(deviceId);
+        const input = requireInput(req.body.input);
+        
+        try {
+            validateSteps(steps);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', error.message);
+        }
+        const ignored = steps.find(step => step.type === 'key' && !isKeySupported(deviceId, parseInt(step.keyCode)));
+        if (ignored) {
+            throw new ApiError('INVALID_REQUEST', `${getDeviceProfile(deviceId).name} ignores key ${ignored.keyCode}`);
+        }
+        
+        const settings = getDeviceSettings(deviceId);
+        settings.inputs[input] = { steps: steps, recordedAt: Date.now() };
+        settings.updatedAt = Date.now();
+        saveDeviceProfiles();
+        
+        commandLog.info(`Recorded ${steps.length}-step sequence for ${TV_INPUTS[input].name}`, { deviceId });
+        
+        res.json({
+            success: true,
+            message: `Sequence for ${TV_INPUTS[input].name} recorded`,
+            deviceId: deviceId,
+            input: input,
+            steps: steps.length
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Forget a recorded sequence (the input falls back to the profile's next strategy)
+app.delete('/input/record/:deviceId/:input', validateRequest({
+    params: { deviceId: DEVICE_ID, input: NAME }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        const input = requireInput(req.params.input);
+        const settings = deviceProfiles.get(deviceId);
+        if (!settings || !settings.inputs[input]) {
+            throw new ApiError('NOT_FOUND', `No sequence recorded for ${TV_INPUTS[input].name} on ${deviceId}`);
+        }
+        
+        delete settings.inputs[input];
+        settings.updatedAt = Date.now();
+        saveDeviceProfiles();
+        
+        res.json({
+            success: true,
+            message: `Sequence for ${TV_INPUTS[input].name} removed`,
+            deviceId: deviceId,
+            input: input
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Switch to a logical input, resolved through the TV's profile
+app.post('/input', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        input: NAME
+    }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const deviceState = requireConnectedDevice(deviceId);
+        const input = requireInput(req.body.input);
+        const profile = getDeviceProfile(deviceId);
+        
+        const resolved = resolveInput(deviceId, input);
+        if (!resolved) {
+            throw new ApiError('INPUT_UNSUPPORTED',
+                `${profile.name} can't select ${TV_INPUTS[input].name} by key - record a menu sequence with /input/record`,
+                { profile: profile.id, input: input });
+        }
+        
+        commandLog.info(`Switching to ${TV_INPUTS[input].name} by ${resolved.strategy}`, { deviceId });
+        
+        let report;
+        if (resolved.strategy === 'key') {
+            await queueCommand(deviceId, `input ${input}`,
+                () => sendKeyPress(deviceId, deviceState, resolved.keyCode, `TV_INPUT_${input.toUpperCase()}`));
+        } else {
+            // One command, so nothing else lands between the menu presses
+            const context = {
+                deviceId: deviceId,
+                deviceState: deviceState,
+                report: [],
+                executed: 0,
+                callStack: [],
+                holdsQueue: true
+            };
+            report = context.report;
+            await queueCommand(deviceId, `input ${input} (${resolved.steps.length} steps)`,
+                () => runMacroSteps(resolved.steps, '', context));
+        }
+        
+        res.json({
+            success: true,
+            message: `Switched to ${TV_INPUTS[input].name}`,
+            deviceId: deviceId,
+            input: input,
+            profile: profile.id,
+            strategy: resolved.strategy,
+            keyCode: resolved.keyCode,
+            results: report
+        });
+        
+    } catch (error) {
+        commandLog.error('Switch input error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Command Endpoints
+// ====================
+
+const KEY_PRESS_MODES = ['short', 'long', 'start', 'end'];
+
+// Press options, shared by /key and the key steps of scenes, batches and input sequences
+const KEY_PRESS_RULES = {
+    mode: { type: 'string', enum: KEY_PRESS_MODES, default: 'short' },
+    holdDuration: { type: 'integer', min: 0, max: MAX_KEY_HOLD, default: 1000 },
+    repeat: { type: 'integer', min: 1, max: 100, default: 1 },
+    interval: { type: 'integer', min: 0, max: 10000, default: 100 }
+};
+
+// Steps can't start a hold: nothing guarantees a matching 'end' runs after it
+const KEY_STEP_RULES = {
+    ...KEY_PRESS_RULES,
+    mode: { ...KEY_PRESS_RULES.mode, enum: ['short', 'long'] }
+};
+
+// Press and hold a key until releaseKey() or the MAX_KEY_HOLD safety timeout
+async function holdKey(deviceId, deviceState, keyCode) {
+    await deviceState.remote.sendKey(keyCode, RemoteDirection.START_LONG);
+    
+    clearTimeout(deviceState.heldKeys.get(keyCode));
+    deviceState.heldKeys.set(keyCode, setTimeout(() => {
+        commandLog.warn(`Key ${keyCode} held for ${MAX_KEY_HOLD / 1000}s, releasing`, { deviceId });
+        queueCommand(deviceId, `release ${keyCode}`, () => releaseKey(deviceId, deviceState, keyCode), {
+            source: 'hold',
+            priority: 'high'
+        }).catch(error => {
+            commandLog.error('Auto-release failed', { deviceId, error });
+        });
+    }, MAX_KEY_HOLD));
+}
+
+async function releaseKey(deviceId, deviceState, keyCode) {
+    clearTimeout(deviceState.heldKeys.get(keyCode));
+    deviceState.heldKeys.delete(keyCode);
+    await deviceState.remote.sendKey(keyCode, RemoteDirection.END_LONG);
+}
+
+// Press a key with the given mode/repeat options, tracking state for short presses
+async function sendKeyPress(deviceId, deviceState, keyCode, keyName, options = {}) {
+    const mode = options.mode || 'short';
+    const holdDuration = options.holdDuration !== undefined ? options.holdDuration : 1000;
+    const repeat = options.repeat || 1;
+    const interval = options.interval !== undefined ? options.interval : 100;
+    const profile = getDeviceProfile(deviceId);
+    
+    if (profile.unsupportedKeys.includes(keyCode)) {
+        const input = Object.keys(TV_INPUTS).find(id => TV_INPUTS[id].keyCode === keyCode);
+        throw new ApiError('KEY_UNSUPPORTED',
+            `${profile.name} ignores key ${keyCode}${input ? ` - switch inputs with /input ('${input}')` : ''}`,
+            { profile: profile.id, keyCode: keyCode, input: input });
+    }
+    
+    if (mode === 'start') {
+        await holdKey(deviceId, deviceState, keyCode);
+    } else if (mode === 'end') {
+        await releaseKey(deviceId, deviceState, keyCode);
+    } else {
+        for (let i = 0; i < repeat; i++) {
+            if (i > 0) {
+                await new Promise(resolve => setTimeout(resolve, interval));
+            }
+            
+            if (mode === 'long') {
+                await deviceState.remote.sendKey(keyCode, RemoteDirection.START_LONG);
+                await new Promise(resolve => setTimeout(resolve, holdDuration));
+                await deviceState.remote.sendKey(keyCode, RemoteDirection.END_LONG);
+                continue;
+            }
+            
+            await deviceState.remote.sendKey(keyCode, RemoteDirection.SHORT);
+            
+            // Track state changes (long presses open menus instead)
+            if (keyName === 'POWER' || keyName === 'WAKEUP') {
+                trackPowerState(deviceId, 'on');
+            } else if (keyName === 'SLEEP') {
+                trackPowerState(deviceId, 'off');
+            } else if (keyName === 'VOLUME_UP') {
+                trackVolume(deviceId, Math.min(deviceState.volumeMax || 100, deviceState.volume + profile.volumeStep));
+            } else if (keyName === 'VOLUME_DOWN') {
+                trackVolume(deviceId, Math.max(0, deviceState.volume - profile.volumeStep));
+            } else if (keyName === 'VOLUME_MUTE') {
+                trackVolume(deviceId, null, !deviceState.muted);
+            }
+        }
+    }
+    
+    deviceState.lastActivity = Date.now();
+}
+
+// Send key
+app.post('/key', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        keyCode: { type: 'integer', required: true, min: 0 },
+        keyName: { type: 'string', maxLength: 64 },
+        ...KEY_PRESS_RULES,
+        priority: { type: 'string', enum: COMMAND_PRIORITIES }
+    }
+}), async (req, res) => {
+    try {
+        const { deviceId, keyCode, keyName, mode, holdDuration, repeat, interval } = req.body;
+        
+        const deviceState = requireConnectedDevice(deviceId);
+        
+        commandLog.info(`Sending key: ${keyName || 'unknown'} (${keyCode}) mode=${mode}${repeat > 1 ? ` x${repeat}` : ''}`, { deviceId });
+        
+        await queueCommand(deviceId, `key ${keyName || keyCode}`, () => sendKeyPress(deviceId, deviceState, keyCode, keyName, {
+            mode: mode,
+            holdDuration: holdDuration,
+            repeat: repeat,
+            interval: interval
+        }), { priority: req.body.priority || keyPriority(keyCode) });
+        
+        commandLog.info('Key sent', { deviceId });
+        
+        res.json({
+            success: true,
+            message: `Sent key: ${keyName}`,
+            deviceId: deviceId,
+            mode: mode,
+            held: Array.from(deviceState.heldKeys.keys())
+        });
+        
+    } catch (error) {
+        commandLog.error('Send key error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// Launch app
+app.post('/app/launch', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        // A launch link, or a friendly name / package from the catalog
+        appUrl: { type: 'string', minLength: 1, maxLength: 2048 },
+        app: { type: 'string', minLength: 1, maxLength: 256 }
+    },
+    check: (req) => (req.body.appUrl === undefined) === (req.body.app === undefined)
+        ? 'Give either appUrl or app (a name or package)'
+        : null
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        
+        const deviceState = requireConnectedDevice(deviceId);
+        const target = req.body.appUrl
+            ? { launchUri: req.body.appUrl, package: null }
+            : resolveAppLaunch(deviceId, req.body.app);
+        const appUrl = target.launchUri;
+        
+        commandLog.info(`Launching app: ${appUrl}`, { deviceId });
+        
+        await queueCommand(deviceId, `app ${appUrl}`, async () => {
+            await deviceState.remote.sendAppLink(appUrl);
+            
+            // Track current app (by package when we know it, like the TV reports it)
+            trackApp(deviceId, target.package || appUrl);
+        });
+        
+        commandLog.info('App launched', { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'App launched',
+            deviceId: deviceId,
+            appUrl: appUrl,
+            package: target.package
+        });
+        
+    } catch (error) {
+        commandLog.error('Launch app error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// The remote protocol has no text input, so text is typed as key presses. Keys carry no
+// shift state: letters arrive lower case, and characters without a key of their own fail.
+const TEXT_KEY_CODES = {
+    ' ': 62, '\n': 66, '*': 17, '#': 18, ',': 55, '.': 56, '`': 68, '-': 69, '=': 70,
+    '[': 71, ']': 72, '\\': 73, ';': 74, "'": 75, '/': 76, '@': 77, '+': 81
+};
+
+function textKeyCode(char) {
+    const lower = char.toLowerCase();
+    if (lower >= 'a' && lower <= 'z' && lower.length === 1) {
+        return 29 + lower.charCodeAt(0) - 97; // KEYCODE_A..KEYCODE_Z
+    }
+    if (char >= '0' && char <= '9' && char.length === 1) {
+        return 7 + char.charCodeAt(0) - 48;   // KEYCODE_0..KEYCODE_9
+    }
+    return TEXT_KEY_CODES[char];
+}
+
+// Message naming the characters that can't be typed, or null
+function checkTypeable(text) {
+    const untypeable = Array.from(new Set(Array.from(text).filter(char => textKeyCode(char) === undefined)));
+    return untypeable.length > 0
+        ? `Text contains characters with no remote key: ${untypeable.map(char => JSON.stringify(char)).join(' ')}`
+        : null;
+}
+
+async function typeText(deviceState, text) {
+    for (const char of text) {
+        await deviceState.remote.sendKey(textKeyCode(char), RemoteDirection.SHORT);
+    }
+}
+
+// Send text
+app.post('/text', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        text: { type: 'string', required: true, maxLength: 1000 }
+    },
+    check: (req) => checkTypeable(req.body.text)
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const text = req.body.text;
+        
+        const deviceState = requireConnectedDevice(deviceId);
+        
+        commandLog.info(`Sending text (${text.length} characters)`, { deviceId });
+        
+        // Type character by character, as one command so keys can't land mid-word
+        await queueCommand(deviceId, `text (${text.length} characters)`, () => typeText(deviceState, text));
+        
+        deviceState.lastActivity = Date.now();
+        
+        commandLog.info('Text sent', { deviceId });
+        
+        res.json({
+            success: true,
+            message: 'Text sent',
+            deviceId: deviceId
+        });
+        
+    } catch (error) {
+        commandLog.error('Send text error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Volume Control
+// ====================
+
+// Send one VOLUME_UP/DOWN and wait for the TV to report the resulting level.
+// The device's own 'volume' listener runs first, so deviceState is current on resolve.
+function sendVolumeStep(deviceState, direction) {
+    const remote = deviceState.remote;
+    
+    return new Promise((resolve, reject) => {
+        const onVolume = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        const timer = setTimeout(() => {
+            remote.removeListener('volume', onVolume);
+            reject(new ApiError('TIMEOUT', `TV did not confirm volume change within ${VOLUME_STEP_TIMEOUT / 1000}s`));
+        }, VOLUME_STEP_TIMEOUT);
+        
+        remote.once('volume', onVolume);
+        Promise.resolve(remote.sendKey(direction > 0 ? 24 : 25, RemoteDirection.SHORT)).catch((error) => {
+            clearTimeout(timer);
+            remote.removeListener('volume', onVolume);
+            reject(error);
+        });
+    });
+}
+
+// Step the volume towards `target` (in the TV's own units) until the level the TV
+// reports is as close as the profile's volume step allows. Stops early if a step
+// overshoots (TV steps by more than its profile says).
+async function setVolumeLevel(deviceId, target) {
+    const deviceState = devices.get(deviceId);
+    const volumeStep = getDeviceProfile(deviceId).volumeStep;
+    const deadline = Date.now() + VOLUME_TIMEOUT;
+    let steps = 0;
+    
+    // Real level/maximum unknown - one step down makes the TV report both
+    if (deviceState.volumeMax === null || deviceState.volumeEstimated) {
+        commandLog.info('Volume unknown, probing...', { deviceId });
+        await sendVolumeStep(deviceState, -1);
+        steps++;
+    }
+    
+    if (deviceState.volumeMax) {
+        target = Math.min(target, deviceState.volumeMax);
+    }
+    target = Math.max(0, target);
+    
+    commandLog.info(`Setting volume ${deviceState.volume} -> ${target} (max ${deviceState.volumeMax})`, { deviceId });
+    
+    let lastDirection = 0;
+    while (Math.abs(target - deviceState.volume) * 2 > volumeStep) {
+        if (Date.now() > deadline) {
+            throw new ApiError('TIMEOUT', `Volume did not reach ${target} within ${VOLUME_TIMEOUT / 1000}s (at ${deviceState.volume})`);
+        }
+        
+        const direction = target > deviceState.volume ? 1 : -1;
+        if (lastDirection !== 0 && direction !== lastDirection) {
+            break;
+        }
+        lastDirection = direction;
+        
+        await sendVolumeStep(deviceState, direction);
+        steps++;
+    }
+    
+    return {
+        target: target,
+        level: deviceState.volume,
+        max: deviceState.volumeMax,
+        exact: deviceState.volume === target,
+        steps: steps
+    };
+}
+
+// Set the volume in percent of the TV's own maximum, probing the maximum first if needed
+async function setVolumePercent(deviceId, percent) {
+    const deviceState = devices.get(deviceId);
+    
+    // Make sure the maximum is known before converting percent to TV units
+    if (deviceState.volumeMax === null || deviceState.volumeEstimated) {
+        await sendVolumeStep(deviceState, -1);
+    }
+    
+    if (!deviceState.volumeMax) {
+        throw new ApiError('VOLUME_UNAVAILABLE', 'TV did not report a volume range (volume may be controlled by an external audio device)');
+    }
+    
+    return setVolumeLevel(deviceId, Math.round(percent / 100 * deviceState.volumeMax));
+}
+
+// Set absolute volume in percent of the TV's maximum
+app.post('/volume', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        level: { type: 'number', required: true, min: 0, max: 100 }
+    }
+}), async (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const percent = req.body.level;
+        
+        requireConnectedDevice(deviceId);
+        
+        const result = await queueCommand(deviceId, `volume ${percent}%`, () => setVolumePercent(deviceId, percent));
+        
+        commandLog.info(`Volume set to ${result.level}/${result.max} in ${result.steps} steps`, { deviceId });
+        
+        res.json({
+            success: true,
+            message: `Volume set to ${Math.round(result.level / result.max * 100)}%`,
+            deviceId: deviceId,
+            requested: percent,
+            percent: Math.round(result.level / result.max * 100),
+            level: result.level,
+            max: result.max,
+            exact: result.exact,
+            steps: result.steps
+        });
+        
+    } catch (error) {
+        commandLog.error('Set volume error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Macro Engine
+// ====================
+
+// Scenes are macros: an ordered list of steps. Every step may have `delay` (ms to
+// wait afterwards) and `optional: true` (a failure is reported but doesn't stop the macro).
+//
+//   { type: 'key', keyCode, keyName?, mode?, holdDuration?, repeat?, interval? }
+//   { type: 'app', appUrl }
+//   { type: 'text', text }
+//   { type: 'volume', level }            TV units, closed loop (see setVolumeLevel)
+//   { type: 'mute', muted }
+//   { type: 'wait', ms }
+//   { type: 'waitUntil', condition, timeout? }
+//   { type: 'if', condition, then: [...], else: [...] }
+//   { type: 'repeat', times, steps: [...] }
+//   { type: 'scene', sceneName }         run another scene inline
+//
+// Conditions test the device state: { attribute, equals | notEquals | contains | gt | lt }
+// and combine with { all: [...] }, { any: [...] }, { not: condition }.
+
+const MACRO_STEP_TYPES = ['key', 'app', 'text', 'volume', 'mute', 'wait', 'waitUntil', 'if', 'repeat', 'scene'];
+const MACRO_CONDITION_ATTRIBUTES = ['connected', 'powerState', 'volume', 'muted', 'currentApp'];
+const MACRO_CONDITION_OPERATORS = ['equals', 'notEquals', 'contains', 'gt', 'lt'];
+const MACRO_MAX_DEPTH = 10;
+const MACRO_MAX_STEPS = 1000;
+const MACRO_WAIT_TIMEOUT = 10000;
+
+// Convert a pre-macro scene ({ app, volume, muted, keys }) into steps, keeping its timing
+function legacySceneToSteps(scene) {
+    const steps = [];
+    
+    if (scene.app) {
+        steps.push({ type: 'app', appUrl: scene.app, delay: 1000 });
+    }
+    if (scene.volume !== undefined) {
+        steps.push({ type: 'volume', level: parseInt(scene.volume) });
+    }
+    if (scene.muted !== undefined) {
+        steps.push({ type: 'mute', muted: Boolean(scene.muted) });
+    }
+    if (Array.isArray(scene.keys)) {
+        scene.keys.forEach(keyCode => steps.push({ type: 'key', keyCode: parseInt(keyCode), delay: 200 }));
+    }
+    
+    return steps;
+}
+
+// Build the stored form of a scene from either format
+function normalizeScene(name, scene, createdAt) {
+    const { steps, app, volume, muted, keys, ...extra } = scene;
+    
+    return {
+        ...extra,
+        name: name,
+        steps: Array.isArray(steps) ? steps : legacySceneToSteps({ app, volume, muted, keys }),
+        createdAt: createdAt || Date.now()
+    };
+}
+
+function validateCondition(condition, where) {
+    if (!condition || typeof condition !== 'object') {
+        throw new Error(`${where}: condition must be an object`);
+    }
+    if (condition.all || condition.any) {
+        const list = condition.all || condition.any;
+        if (!Array.isArray(list)) {
+            throw new Error(`${where}: all/any must be an array`);
+        }
+        list.forEach((item, i) => validateCondition(item, `${where}.${condition.all ? 'all' : 'any'}[${i}]`));
+        return;
+    }
+    if (condition.not) {
+        validateCondition(condition.not, `${where}.not`);
+        return;
+    }
+    if (!MACRO_CONDITION_ATTRIBUTES.includes(condition.attribute)) {
+        throw new Error(`${where}: attribute must be one of ${MACRO_CONDITION_ATTRIBUTES.join(', ')}`);
+    }
+    if (!MACRO_CONDITION_OPERATORS.some(op => condition[op] !== undefined)) {
+        throw new Error(`${where}: condition needs one of ${MACRO_CONDITION_OPERATORS.join(', ')}`);
+    }
+}
+
+// Check step structure up front so a typo fails at save time, not halfway through a macro
+function validateSteps(steps, where = 'steps') {
+    if (!Array.isArray(steps)) {
+        throw new Error(`${where} must be an array`);
+    }
+    
+    steps.forEach((step, i) => {
+        const at = `${where}[${i}]`;
+        if (!step || !MACRO_STEP_TYPES.includes(step.type)) {
+            throw new Error(`${at}: type must be one of ${MACRO_STEP_TYPES.join(', ')}`);
+        }
+        if (step.delay !== undefined && (typeof step.delay !== 'number' || step.delay < 0)) {
+            throw new Error(`${at}: delay must be a positive number of ms`);
+        }
+        
+        switch (step.type) {
+            case 'key':
+                if (isNaN(parseInt(step.keyCode))) throw new Error(`${at}: keyCode required`);
+                for (const [field, rule] of Object.entries(KEY_STEP_RULES)) {
+                    const checked = checkField(field, rule, step[field]);
+                    if (checked.error) throw new Error(`${at}: ${checked.error}`);
+                }
+                break;
+            case 'app':
+                if (!step.appUrl) throw new Error(`${at}: appUrl required`);
+                break;
+            case 'text': {
+                if (typeof step.text !== 'string' || !step.text) throw new Error(`${at}: text required`);
+                const untypeable = checkTypeable(step.text);
+                if (untypeable) throw new Error(`${at}: ${untypeable}`);
+                break;
+            }
+            case 'volume':
+                if (isNaN(parseInt(step.level))) throw new Error(`${at}: level required`);
+                break;
+            case 'mute':
+                if (typeof step.muted !== 'boolean') throw new Error(`${at}: muted must be true or false`);
+                break;
+            case 'wait':
+                if (typeof step.ms !== 'number' || step.ms < 0) throw new Error(`${at}: ms required`);
+                break;
+            case 'waitUntil':
+                validateCondition(step.condition, at);
+                break;
+            case 'if':
+                validateCondition(step.condition, at);
+                validateSteps(step.then || [], `${at}.then`);
+                validateSteps(step.else || [], `${at}.else`);
+                break;
+            case 'repeat':
+                if (!Number.isInteger(step.times) || step.times < 1 || step.times > 100) throw new Error(`${at}: times must be 1-100`);
+                validateSteps(step.steps, `${at}.steps`);
+                break;
+            case 'scene':
+                if (!step.sceneName) throw new Error(`${at}: sceneName required`);
+                break;
+        }
+    });
+}
+
+function evaluateCondition(condition, deviceState) {
+    if (condition.all) {
+        return condition.all.every(item => evaluateCondition(item, deviceState));
+    }
+    if (condition.any) {
+        return condition.any.some(item => evaluateCondition(item, deviceState));
+    }
+    if (condition.not) {
+        return !evaluateCondition(condition.not, deviceState);
+    }
+    
+    const actual = deviceState[condition.attribute];
+    if (condition.equals !== undefined) return actual === condition.equals;
+    if (condition.notEquals !== undefined) return actual !== condition.notEquals;
+    if (condition.contains !== undefined) return String(actual).includes(condition.contains);
+    if (condition.gt !== undefined) return actual > condition.gt;
+    if (condition.lt !== undefined) return actual < condition.lt;
+    return false;
+}
+
+// Poll device state until the condition holds; state is kept current by the event listeners
+async function waitForCondition(condition, deviceState, timeout) {
+    const deadline = Date.now() + timeout;
+    while (!evaluateCondition(condition, deviceState)) {
+        if (Date.now() > deadline) {
+            throw new ApiError('TIMEOUT', `Condition not met within ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+// Scene steps each wait their turn in the device queue; a batch already holds the queue
+// for all of its steps, so they run directly
+function runStepCommand(context, label, task, options = {}) {
+    if (context.holdsQueue) {
+        return task();
+    }
+    return queueCommand(context.deviceId, label, task, { ...options, source: 'scene' });
+}
+
+// Run one step, recording it (and any nested steps) in the report
+async function runMacroStep(step, path, context) {
+    const { deviceId, deviceState, report } = context;
+    
+    if (++context.executed > MACRO_MAX_STEPS) {
+        throw new Error(`Macro exceeded ${MACRO_MAX_STEPS} steps`);
+    }
+    
+    const entry = { step: path, type: step.type, status: 'ok', startedAt: Date.now() };
+    report.push(entry);
+    
+    try {
+        switch (step.type) {
+            case 'key':
+                await runStepCommand(context, `key ${step.keyName || step.keyCode}`,
+                    () => sendKeyPress(deviceId, deviceState, parseInt(step.keyCode), step.keyName, step),
+                    { priority: keyPriority(parseInt(step.keyCode)) });
+                break;
+            case 'app':
+                await runStepCommand(context, `app ${step.appUrl}`, async () => {
+                    await deviceState.remote.sendAppLink(step.appUrl);
+                    trackApp(deviceId, step.appUrl);
+                });
+                break;
+            case 'text':
+                await runStepCommand(context, `text (${step.text.length} characters)`,
+                    () => typeText(deviceState, step.text));
+                break;
+            case 'volume': {
+                const result = await runStepCommand(context, `volume ${step.level}`,
+                    () => setVolumeLevel(deviceId, parseInt(step.level)));
+                entry.detail = `volume ${result.level}/${result.max}`;
+                break;
+            }
+            case 'mute':
+                // Checked when the command runs - earlier commands may have changed it
+                entry.detail = await runStepCommand(context, `mute ${step.muted}`, async () => {
+                    if (step.muted === deviceState.muted) {
+                        return 'already in requested state';
+                    }
+                    await deviceState.remote.sendKey(164, RemoteDirection.SHORT); // VOLUME_MUTE
+                    trackVolume(deviceId, null, step.muted);
+                    return undefined;
+                });
+                break;
+            case 'wait':
+                await new Promise(resolve => setTimeout(resolve, step.ms));
+                break;
+            case 'waitUntil':
+                await waitForCondition(step.condition, deviceState, step.timeout || MACRO_WAIT_TIMEOUT);
+                break;
+            case 'if': {
+                const matched = evaluateCondition(step.condition, deviceState);
+                entry.detail = matched ? 'then' : 'else';
+                await runMacroSteps(matched ? (step.then || []) : (step.else || []), `${path}.${entry.detail}`, context);
+                break;
+            }
+            case 'repeat':
+                for (let i = 0; i < step.times; i++) {
+                    await runMacroSteps(step.steps, `${path}.${i + 1}`, context);
+                }
+                break;
+            case 'scene': {
+                const scene = scenes.get(step.sceneName);
+                if (!scene) {
+                    throw new Error(`Scene '${step.sceneName}' not found`);
+                }
+                if (context.callStack.includes(step.sceneName)) {
+                    throw new Error(`Scene '${step.sceneName}' calls itself (${context.callStack.join(' -> ')})`);
+                }
+                if (context.callStack.length >= MACRO_MAX_DEPTH) {
+                    throw new Error(`Scene calls nested deeper than ${MACRO_MAX_DEPTH}`);
+                }
+                context.callStack.push(step.sceneName);
+                try {
+                    await runMacroSteps(scene.steps, `${path}[${step.sceneName}]`, context);
+                } finally {
+                    context.callStack.pop();
+                }
+                break;
+            }
+        }
+        
+        if (step.delay) {
+            await new Promise(resolve => setTimeout(resolve, step.delay));
+        }
+    } catch (error) {
+        entry.status = 'failed';
+        entry.error = error.message;
+        if (!step.optional || error.macroFatal) {
+            error.macroFatal = true;
+            throw error;
+        }
+    } finally {
+        entry.durationMs = Date.now() - entry.startedAt;
+    }
+}
+
+async function runMacroSteps(steps, path, context) {
+    for (let i = 0; i < steps.length; i++) {
+        await runMacroStep(steps[i], path ? `${path}.${i + 1}` : `${i + 1}`, context);
+    }
+}
+
+// Execute a scene on a device, returning { success, report, failedStep, error }
+async function executeScene(sceneName, deviceId) {
+    const scene = scenes.get(sceneName);
+    if (!scene) {
+        throw new ApiError('SCENE_NOT_FOUND', `Scene '${sceneName}' not found`);
+    }
+    
+    const deviceState = requireConnectedDevice(deviceId);
+    
+    sceneLog.info(`Executing scene: ${sceneName}`, { deviceId });
+    
+    const context = {
+        deviceId: deviceId,
+        deviceState: deviceState,
+        report: [],
+        executed: 0,
+        callStack: [sceneName]
+    };
+    const startedAt = Date.now();
     
     try {
+        await runMacroSteps(scene.steps, '', context);
+    } catch (error) {
+        const failed = context.report.filter(entry => entry.status === 'failed').pop();
+        const apiError = toApiError(error);
+        sceneLog.error(`Scene '${sceneName}' failed at step ${failed ? failed.step : '?'}: ${error.message}`, { deviceId });
+        return {
+            success: false,
+            error: error.message,
+            code: apiError.code === 'INTERNAL_ERROR' ? 'SCENE_FAILED' : apiError.code,
+            failedStep: failed ? failed.step : null,
+            durationMs: Date.now() - startedAt,
+            report: context.report
+        };
+    }
+    
+    sceneLog.info(`Scene executed: ${sceneName} (${context.report.length} steps)`, { deviceId });
+    
+    return {
+        success: true,
+        durationMs: Date.now() - startedAt,
+        report: context.report
+    };
+}
+
+// ====================
+// Scenes/Presets
+// ====================
+
+// Save scene
+app.post('/scene/save', validateRequest({
+    body: {
+        sceneName: NAME,
+        scene: { type: 'object', required: true }
+    }
+}), async (req, res) => {
+    try {
+        const sceneName = req.body.sceneName;
+        const scene = req.body.scene;
+        
+        let normalized;
+        try {
+            normalized = normalizeScene(sceneName, scene);
+            validateSteps(normalized.steps);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', error.message);
+        }
+        
+        scenes.set(sceneName, normalized);
+        saveScenes();
+        
+        sceneLog.info(`Scene saved: ${sceneName} (${normalized.steps.length} steps)`);
+        
+        res.json({
+            success: true,
+            message: `Scene '${sceneName}' saved`,
+            sceneName: sceneName,
+            steps: normalized.steps.length
+        });
+        
+    } catch (error) {
+        sceneLog.error('Save scene error', { error });
+        sendError(res, error);
+    }
+});
+
+// Execute scene
+app.post('/scene/execute', validateRequest({
+    body: {
+        sceneName: NAME,
+        deviceId: DEVICE_ID
+    }
+}), async (req, res) => {
+    try {
+        const sceneName = req.body.sceneName;
         const deviceId = req.body.deviceId;
-        const host = req.body.host;
-        const deviceName = req.body.deviceName || 'Hubitat';
         
-        if (!deviceId || !host) {
-            throw new Error('Missing required parameters: deviceId, host');
+        const result = await executeScene(sceneName, deviceId);
+        
+        res.status(result.success ? 200 : ERROR_STATUS[result.code]).json({
+            success: result.success,
+            message: result.success ? `Scene '${sceneName}' executed` : undefined,
+            error: result.error,
+            code: result.code,
+            deviceId: deviceId,
+            sceneName: sceneName,
+            failedStep: result.failedStep,
+            durationMs: result.durationMs,
+            report: result.report
+        });
+        
+    } catch (error) {
+        sceneLog.error('Execute scene error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// List scenes
+app.get('/scenes', (req, res) => {
+    const sceneList = Array.from(scenes.values());
+    res.json({
+        success: true,
+        scenes: sceneList,
+        count: sceneList.length
+    });
+});
+
+// Delete scene
+app.delete('/scene/:sceneName', validateRequest({
+    params: { sceneName: NAME }
+}), (req, res) => {
+    try {
+        const sceneName = req.params.sceneName;
+        
+        if (scenes.has(sceneName)) {
+            scenes.delete(sceneName);
+            saveScenes();
+            sceneLog.info(`Scene deleted: ${sceneName}`);
+            res.json({
+                success: true,
+                message: `Scene '${sceneName}' deleted`
+            });
+        } else {
+            throw new ApiError('SCENE_NOT_FOUND', `Scene '${sceneName}' not found`);
+        }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Batch Commands
+// ====================
+
+// A batch is a short, one-off sequence for a single TV - "type 1, 2, 3", "POWER, wait, HOME" -
+// sent in one request instead of one request per key. Steps use the macro step format but
+// only key, app, text and wait. The whole batch is one queued command, so nothing else
+// sent to the TV can land between its steps.
+const BATCH_STEP_TYPES = ['key', 'app', 'text', 'wait'];
+const BATCH_MAX_STEPS = 100;
+const BATCH_MAX_WAIT = 60000; // Sum of all waits, delays, key repeat intervals and long-press holds, in ms
+
+// How long a step keeps the TV's queue waiting, besides the commands themselves
+function batchStepWait(step) {
+    let wait = Number(step.delay) || 0;
+    if (step.type === 'wait') {
+        wait += Number(step.ms) || 0;
+    } else if (step.type === 'key') {
+        const interval = step.interval !== undefined ? Number(step.interval) : KEY_PRESS_RULES.interval.default;
+        const hold = step.mode === 'long'
+            ? (step.holdDuration !== undefined ? Number(step.holdDuration) : KEY_PRESS_RULES.holdDuration.default)
+            : 0;
+        wait += (Number(step.repeat) || 1) * (interval + hold);
+    }
+    return wait;
+}
+
+function checkBatchSteps(steps) {
+    const invalid = steps.findIndex(step => !BATCH_STEP_TYPES.includes(step.type));
+    if (invalid !== -1) {
+        return `steps[${invalid}].type must be one of ${BATCH_STEP_TYPES.join(', ')}`;
+    }
+    const totalWait = steps.reduce((sum, step) => sum + batchStepWait(step), 0);
+    if (totalWait > BATCH_MAX_WAIT) {
+        return `Batch waits ${totalWait}ms in total (max ${BATCH_MAX_WAIT}ms)`;
+    }
+    return null;
+}
+
+// Run a batch; with stopOnError false every step runs and failures are only reported
+app.post('/batch', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        steps: { type: 'array', required: true, minItems: 1, items: { type: 'object' } },
+        stopOnError: { type: 'boolean', default: true }
+    },
+    check: (req) => req.body.steps.length > BATCH_MAX_STEPS
+        ? `A batch may have at most ${BATCH_MAX_STEPS} steps`
+        : checkBatchSteps(req.body.steps)
+}), async (req, res) => {
+    try {
+        const { deviceId, stopOnError } = req.body;
+        
+        try {
+            validateSteps(req.body.steps);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', error.message);
+        }
+        
+        const deviceState = requireConnectedDevice(deviceId);
+        const steps = stopOnError ? req.body.steps : req.body.steps.map(step => ({ ...step, optional: true }));
+        const context = {
+            deviceId: deviceId,
+            deviceState: deviceState,
+            report: [],
+            executed: 0,
+            callStack: [],
+            holdsQueue: true
+        };
+        const startedAt = Date.now();
+        
+        commandLog.info(`Running batch of ${steps.length} step(s)${stopOnError ? '' : ' (continue on error)'}`, { deviceId });
+        
+        const error = await queueCommand(deviceId, `batch (${steps.length} steps)`, async () => {
+            try {
+                await runMacroSteps(steps, '', context);
+                return null;
+            } catch (error) {
+                return error;
+            }
+        }, { source: 'batch' });
+        
+        const failed = context.report.filter(entry => entry.status === 'failed');
+        const apiError = error ? toApiError(error) : null;
+        
+        if (failed.length > 0) {
+            commandLog.warn(`Batch: ${failed.length} step(s) failed${error ? `, stopped at step ${failed[0].step}` : ''}`, { deviceId });
+        } else {
+            commandLog.info(`Batch done in ${Date.now() - startedAt}ms`, { deviceId });
+        }
+        
+        res.status(apiError ? apiError.status : 200).json({
+            success: failed.length === 0,
+            message: failed.length === 0 ? `Batch of ${steps.length} step(s) executed` : undefined,
+            error: apiError ? apiError.message : (failed.length > 0 ? `${failed.length} step(s) failed` : undefined),
+            code: apiError ? apiError.code : undefined,
+            deviceId: deviceId,
+            failedStep: failed.length > 0 ? failed[0].step : undefined,
+            completed: context.report.filter(entry => entry.status === 'ok').length,
+            skipped: steps.length - context.report.length,
+            durationMs: Date.now() - startedAt,
+            results: context.report,
+            state: {
+                powerState: deviceState.powerState || 'unknown',
+                volume: deviceState.volume || 0,
+                volumeMax: deviceState.volumeMax,
+                muted: deviceState.muted || false,
+                currentApp: deviceState.currentApp || 'unknown'
+            }
+        });
+        
+    } catch (error) {
+        commandLog.error('Batch error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Multi-Room Sync
+// ====================
+
+// Attributes a mirror-mode group repeats from its leader, and the state field each follows
+const MIRROR_ATTRIBUTES = { power: 'powerState', app: 'currentApp', volume: 'volume', mute: 'muted' };
+
+// Check a group's leader and per-follower opt-outs: { deviceId: ['volume', ...] }
+function checkMirrorSettings(deviceIds, leader, exclude) {
+    if (leader !== undefined && !deviceIds.includes(leader)) {
+        return `leader '${leader}' is not a member of the group`;
+    }
+    if (typeof exclude !== 'object' || exclude === null || Array.isArray(exclude)) {
+        return 'exclude must be an object of deviceId: [attributes]';
+    }
+    for (const [deviceId, attributes] of Object.entries(exclude)) {
+        if (!deviceIds.includes(deviceId)) {
+            return `exclude: '${deviceId}' is not a member of the group`;
+        }
+        if (!Array.isArray(attributes) || attributes.some(attribute => !MIRROR_ATTRIBUTES[attribute])) {
+            return `exclude.${deviceId} must be a list of ${Object.keys(MIRROR_ATTRIBUTES).join(', ')}`;
+        }
+    }
+    return null;
+}
+
+// Create sync group
+app.post('/sync/create', validateRequest({
+    body: {
+        groupName: NAME,
+        deviceIds: { type: 'array', required: true, minItems: 2, items: DEVICE_ID },
+        leader: { type: 'string', minLength: 1, maxLength: 128 },
+        mirror: { type: 'boolean', default: false },
+        exclude: { type: 'object', default: {} },
+        volumeAdjust: { type: 'object', default: {} }
+    },
+    check: (req) => checkMirrorSettings(req.body.deviceIds, req.body.leader, req.body.exclude) ||
+        checkVolumeAdjust(req.body.deviceIds, req.body.volumeAdjust)
+}), (req, res) => {
+    try {
+        const groupName = req.body.groupName;
+        const deviceIds = req.body.deviceIds;
+        
+        // Verify all devices exist and are connected
+        for (const deviceId of deviceIds) {
+            requireConnectedDevice(deviceId);
+        }
+        
+        const group = {
+            name: groupName,
+            devices: deviceIds,
+            leader: req.body.leader || deviceIds[0],
+            mirror: req.body.mirror,
+            exclude: req.body.exclude,
+            volumeAdjust: req.body.volumeAdjust,
+            createdAt: Date.now()
+        };
+        syncGroups.set(groupName, group);
+        saveSyncGroups();
+        
+        syncLog.info(`Sync group created: ${groupName} with ${deviceIds.length} devices${group.mirror ? `, mirroring ${group.leader}` : ''}`);
+        
+        res.json({
+            success: true,
+            message: `Sync group '${groupName}' created`,
+            groupName: groupName,
+            devices: deviceIds,
+            group: group
+        });
+        
+    } catch (error) {
+        syncLog.error('Create sync group error', { error });
+        sendError(res, error);
+    }
+});
+
+// Change members, leader, mirror mode or opt-outs of an existing group
+app.post('/sync/update', validateRequest({
+    body: {
+        groupName: NAME,
+        deviceIds: { type: 'array', minItems: 2, items: DEVICE_ID },
+        leader: { type: 'string', minLength: 1, maxLength: 128 },
+        mirror: { type: 'boolean' },
+        exclude: { type: 'object' },
+        volumeAdjust: { type: 'object' }
+    }
+}), (req, res) => {
+    try {
+        const groupName = req.body.groupName;
+        const group = syncGroups.get(groupName);
+        if (!group) {
+            throw new ApiError('GROUP_NOT_FOUND', `Sync group '${groupName}' not found`);
+        }
+        
+        const deviceIds = req.body.deviceIds || group.devices;
+        const leader = req.body.leader || group.leader;
+        
+        // Opt-outs and volume adjustments of members that left the group are dropped
+        const exclude = req.body.exclude || Object.fromEntries(
+            Object.entries(group.exclude || {}).filter(([deviceId]) => deviceIds.includes(deviceId)));
+        const volumeAdjust = req.body.volumeAdjust || Object.fromEntries(
+            Object.entries(group.volumeAdjust || {}).filter(([deviceId]) => deviceIds.includes(deviceId)));
+        
+        const problem = checkMirrorSettings(deviceIds, leader, exclude) || checkVolumeAdjust(deviceIds, volumeAdjust);
+        if (problem) {
+            throw new ApiError('INVALID_REQUEST', problem);
+        }
+        for (const deviceId of deviceIds.filter(id => !group.devices.includes(id))) {
+            requireKnownDevice(deviceId);
+        }
+        
+        group.devices = deviceIds;
+        group.leader = leader;
+        group.exclude = exclude;
+        group.volumeAdjust = volumeAdjust;
+        if (req.body.mirror !== undefined) {
+            group.mirror = req.body.mirror;
+        }
+        group.updatedAt = Date.now();
+        saveSyncGroups();
+        
+        syncLog.info(`Sync group updated${group.mirror ? `, mirroring ${group.leader}` : ''}`, { groupName });
+        
+        res.json({
+            success: true,
+            message: `Sync group '${groupName}' updated`,
+            groupName: groupName,
+            group: group
+        });
+        
+    } catch (error) {
+        syncLog.error('Update sync group error', { error });
+        sendError(res, error);
+    }
+});
+
+// Wait between attempts when a group command is retried on the members that failed
+const SYNC_RETRY_DELAY = 1000;
+
+// Members' volume relative to the group: { deviceId: { offset, scale } }. A member's target
+// is command value x scale + offset, in the unit of the command (percent for `level` and
+// `change`, TV steps for `volume`).
+function checkVolumeAdjust(deviceIds, volumeAdjust) {
+    if (typeof volumeAdjust !== 'object' || volumeAdjust === null || Array.isArray(volumeAdjust)) {
+        return 'volumeAdjust must be an object of deviceId: { offset, scale }';
+    }
+    for (const [deviceId, adjust] of Object.entries(volumeAdjust)) {
+        if (!deviceIds.includes(deviceId)) {
+            return `volumeAdjust: '${deviceId}' is not a member of the group`;
+        }
+        if (typeof adjust !== 'object' || adjust === null) {
+            return `volumeAdjust.${deviceId} must be an object with offset and/or scale`;
+        }
+        if (adjust.offset !== undefined && (typeof adjust.offset !== 'number' || Math.abs(adjust.offset) > 100)) {
+            return `volumeAdjust.${deviceId}.offset must be a number between -100 and 100`;
+        }
+        if (adjust.scale !== undefined && (typeof adjust.scale !== 'number' || adjust.scale <= 0 || adjust.scale > 4)) {
+            return `volumeAdjust.${deviceId}.scale must be a number above 0 and at most 4`;
+        }
+    }
+    return null;
+}
+
+// A member's target volume in TV units for a group volume command. The TV's maximum must be known.
+function memberVolumeTarget(deviceState, command, adjust) {
+    const offset = adjust.offset || 0;
+    const scale = adjust.scale || 1;
+    
+    if (command.volume !== undefined) {
+        return Math.round(parseInt(command.volume) * scale + offset);
+    }
+    
+    const current = deviceState.volume / deviceState.volumeMax * 100;
+    const percent = command.level !== undefined
+        ? command.level * scale + offset
+        : current + command.change * scale;
+    return Math.round(Math.min(100, Math.max(0, percent)) / 100 * deviceState.volumeMax);
+}
+
+// Run one member's part of a group command in its queue. Volume commands report the
+// level before and after so they can be rolled back.
+async function runMemberCommand(group, deviceId, command) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.remote) {
+        throw new ApiError('DEVICE_NOT_CONNECTED', `Device ${deviceId} is not connected`);
+    }
+    
+    if (command.type === 'key') {
+        // Through sendKeyPress, so keys the member's profile ignores fail as KEY_UNSUPPORTED
+        const keyCode = parseInt(command.keyCode);
+        await queueCommand(deviceId, `key ${command.keyName || keyCode}`,
+            () => sendKeyPress(deviceId, deviceState, keyCode, command.keyName),
+            { source: 'sync', priority: keyPriority(keyCode) });
+        return {};
+    }
+    
+    if (command.type === 'app') {
+        await queueCommand(deviceId, `app ${command.appUrl}`, async () => {
+            await deviceState.remote.sendAppLink(command.appUrl);
+            trackApp(deviceId, command.appUrl);
+        }, { source: 'sync' });
+        return {};
+    }
+    
+    return queueCommand(deviceId, 'group volume', async () => {
+        // Real level/maximum unknown - one step down makes the TV report both
+        if (deviceState.volumeMax === null || deviceState.volumeEstimated) {
+            await sendVolumeStep(deviceState, -1);
+        }
+        if (!deviceState.volumeMax && command.volume === undefined) {
+            throw new ApiError('VOLUME_UNAVAILABLE', 'TV did not report a volume range (volume may be controlled by an external audio device)');
+        }
+        
+        const before = deviceState.volume;
+        const target = memberVolumeTarget(deviceState, command, (group.volumeAdjust || {})[deviceId] || {});
+        const result = await setVolumeLevel(deviceId, target);
+        return { before: before, after: result.level, target: result.target, exact: result.exact };
+    }, { source: 'sync' });
+}
+
+// Send a key/app/volume command to every device in a group, returning per-device results.
+// onFailure: 'ignore' leaves failed members as they are, 'retry' tries them again up to
+// `retries` times, 'rollback' (volume only) puts the members that succeeded back.
+async function executeSyncCommand(groupName, command, options = {}) {
+    const group = syncGroups.get(groupName);
+    if (!group) {
+        throw new ApiError('GROUP_NOT_FOUND', `Sync group '${groupName}' not found`);
+    }
+    
+    const onFailure = options.onFailure || 'ignore';
+    const attempts = onFailure === 'retry' ? 1 + (options.retries || 1) : 1;
+    
+    syncLog.info(`Sending sync command to ${group.devices.length} devices`, { groupName });
+    
+    // Send command to all devices in parallel
+    const results = await Promise.all(group.devices.map(async (deviceId) => {
+        let lastError;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            if (attempt > 1) {
+                syncLog.info(`Retrying (attempt ${attempt}/${attempts})`, { groupName, deviceId });
+                await new Promise(resolve => setTimeout(resolve, SYNC_RETRY_DELAY));
+            }
+            try {
+                const detail = await runMemberCommand(group, deviceId, command);
+                syncLog.info('Sync command executed', { deviceId });
+                return { deviceId, success: true, attempts: attempt, ...detail };
+            } catch (error) {
+                lastError = toApiError(error);
+                syncLog.error('Sync command error', { deviceId, error });
+            }
+        }
+        return { deviceId, success: false, attempts: attempts, error: lastError.message, code: lastError.code };
+    }));
+    
+    const failed = results.filter(result => !result.success);
+    if (onFailure === 'rollback' && failed.length > 0) {
+        syncLog.warn(`${failed.length} member(s) failed, rolling back the others`, { groupName });
+        await Promise.all(results.filter(result => result.success && result.before !== undefined).map(async (result) => {
+            try {
+                await queueCommand(result.deviceId, `volume ${result.before} (rollback)`,
+                    () => setVolumeLevel(result.deviceId, result.before), { source: 'sync' });
+                result.rolledBack = true;
+            } catch (error) {
+                result.rolledBack = false;
+                result.rollbackError = error.message;
+                syncLog.error('Rollback failed', { deviceId: result.deviceId, error });
+            }
+        }));
+    }
+    
+    return results;
+}
+
+// What each member looks like after a group command
+function describeGroupState(group) {
+    return group.devices.map((deviceId) => {
+        const deviceState = devices.get(deviceId);
+        if (!deviceState) {
+            return { deviceId: deviceId, connected: false };
+        }
+        return {
+            deviceId: deviceId,
+            connected: deviceState.connected,
+            powerState: deviceState.powerState || 'unknown',
+            volume: deviceState.volume || 0,
+            volumeMax: deviceState.volumeMax,
+            volumePercent: deviceState.volumeMax ? Math.round(deviceState.volume / deviceState.volumeMax * 100) : null,
+            muted: deviceState.muted || false,
+            currentApp: deviceState.currentApp || 'unknown'
+        };
+    });
+}
+
+// Send command to sync group
+// Fields each sync command type needs (volume takes exactly one of them)
+const SYNC_COMMAND_FIELDS = { key: ['keyCode'], app: ['appUrl'], volume: ['level', 'volume', 'change'] };
+const SYNC_FAILURE_MODES = ['ignore', 'retry', 'rollback'];
+
+app.post('/sync/command', validateRequest({
+    body: {
+        groupName: NAME,
+        command: { type: 'object', required: true },
+        onFailure: { type: 'string', enum: SYNC_FAILURE_MODES, default: 'ignore' },
+        retries: { type: 'integer', min: 1, max: 5, default: 1 }
+    },
+    check: (req) => {
+        const command = req.body.command;
+        const fields = SYNC_COMMAND_FIELDS[command.type];
+        if (!fields) {
+            return `command.type must be one of ${Object.keys(SYNC_COMMAND_FIELDS).join(', ')}`;
+        }
+        const given = fields.filter(field => command[field] !== undefined && command[field] !== '');
+        if (given.length !== 1) {
+            return fields.length === 1
+                ? `command.${fields[0]} is required for ${command.type} commands`
+                : `${command.type} commands need exactly one of ${fields.map(field => `command.${field}`).join(', ')}`;
         }
+        if (given[0] !== 'appUrl' && isNaN(parseInt(command[given[0]]))) {
+            return `command.${given[0]} must be a number`;
+        }
+        if (given[0] === 'level' && (command.level < 0 || command.level > 100)) {
+            return 'command.level must be between 0 and 100';
+        }
+        if (req.body.onFailure === 'rollback' && command.type !== 'volume') {
+            return 'onFailure: rollback is only possible for volume commands';
+        }
+        return null;
+    }
+}), async (req, res) => {
+    try {
+        const groupName = req.body.groupName;
+        const command = req.body.command;
         
-        console.log(`Device ID: ${deviceId}`);
-        console.log(`Host: ${host}`);
-        console.log(`Device Name: ${deviceName}`);
+        const commandResults = await executeSyncCommand(groupName, command, {
+            onFailure: req.body.onFailure,
+            retries: req.body.retries
+        });
+        
+        const failed = commandResults.filter(result => !result.success);
+        const rolledBack = commandResults.filter(result => result.rolledBack);
         
-        // Create AndroidRemote instance for pairing
-        console.log(`[${deviceId}] Creating AndroidRemote instance...`);
-        const remote = new AndroidRemote(host, {
-            name: deviceName
+        // Consistent: every member applied the command, or everything that did was undone
+        const consistent = failed.length === 0 || (req.body.onFailure === 'rollback' &&
+            commandResults.every(result => !result.success || result.rolledBack || result.before === undefined));
+        
+        res.json({
+            success: failed.length === 0,
+            message: failed.length === 0
+                ? `Command sent to sync group '${groupName}'`
+                : `Command failed on ${failed.map(result => result.deviceId).join(', ')}${rolledBack.length > 0 ? ` - rolled back ${rolledBack.length} member(s)` : ''}`,
+            groupName: groupName,
+            failed: failed.length,
+            rolledBack: rolledBack.length,
+            consistent: consistent,
+            results: commandResults,
+            state: describeGroupState(syncGroups.get(groupName))
         });
         
-        // Track pairing state
-        const pairingState = {
-            remote: remote,
-            host: host,
-            codeDisplayed: false,
-            deviceId: deviceId
-        };
+    } catch (error) {
+        syncLog.error('Sync command error', { error });
+        sendError(res, error);
+    }
+});
+
+// List sync groups
+app.get('/sync/groups', (req, res) => {
+    const groupList = Array.from(syncGroups.values()).map(group => group.mirror
+        ? { ...group, mirrorStats: getMirrorStats(group.name) }
+        : group);
+    res.json({
+        success: true,
+        groups: groupList,
+        count: groupList.length
+    });
+});
+
+// Delete sync group
+app.delete('/sync/:groupName', validateRequest({
+    params: { groupName: NAME }
+}), (req, res) => {
+    try {
+        const groupName = req.params.groupName;
         
-        // Set up event listeners for pairing
-        remote.on('secret', () => {
-            console.log(`[${deviceId}] âœ" Pairing code displayed on TV`);
-            pairingState.codeDisplayed = true;
-        });
+        if (syncGroups.has(groupName)) {
+            syncGroups.delete(groupName);
+            mirrorStats.delete(groupName);
+            saveSyncGroups();
+            syncLog.info(`Sync group deleted: ${groupName}`);
+            res.json({
+                success: true,
+                message: `Sync group '${groupName}' deleted`
+            });
+        } else {
+            throw new ApiError('GROUP_NOT_FOUND', `Sync group '${groupName}' not found`);
+        }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// ====================
+// Live Event Stream
+// ====================
+
+// Attributes whose changes are published as 'state' events
+const STATE_EVENT_ATTRIBUTES = ['connected', 'powerState', 'presence', 'volume', 'muted', 'currentApp'];
+
+// Recent events for Last-Event-ID resume: { id, deviceId, type, timestamp, data }
+const eventLog = [];
+let nextEventId = 1;
+
+// In-process consumers (webhooks) - called synchronously for every event
+const eventListeners = [];
+
+// Open SSE connections: { res, deviceId } (deviceId null = all devices)
+const eventStreams = new Set();
+
+function publishEvent(deviceId, type, data) {
+    const event = {
+        id: nextEventId++,
+        deviceId: deviceId,
+        type: type,
+        timestamp: Date.now(),
+        data: data
+    };
+    
+    eventLog.push(event);
+    if (eventLog.length > EVENT_BUFFER_SIZE) {
+        eventLog.shift();
+    }
+    
+    eventListeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (e) {
+            eventsLog.error('Event listener error', { deviceId, error: e });
+        }
+    });
+    
+    for (const stream of eventStreams) {
+        if (!stream.deviceId || stream.deviceId === deviceId) {
+            writeSseEvent(stream.res, event);
+        }
+    }
+    
+    return event;
+}
+
+// Build a state listener that diffs each update against the previous one
+// and publishes the changed attributes as a 'state' event
+function createChangeListener(deviceId) {
+    let previous = null;
+    
+    return (state) => {
+        const changes = {};
+        for (const attribute of STATE_EVENT_ATTRIBUTES) {
+            if (!previous || previous[attribute] !== state[attribute]) {
+                changes[attribute] = { from: previous ? previous[attribute] : null, to: state[attribute] };
+            }
+        }
+        previous = state;
         
-        remote.on('ready', () => {
-            console.log(`[${deviceId}] âœ" Remote ready`);
+        if (Object.keys(changes).length > 0) {
+            publishEvent(deviceId, 'state', { changes: changes, state: state });
+        }
+    };
+}
+
+function writeSseEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+        deviceId: event.deviceId,
+        timestamp: event.timestamp,
+        ...event.data
+    })}\n\n`);
+}
+
+function getDeviceSnapshot(deviceId) {
+    const deviceState = devices.get(deviceId);
+    return {
+        deviceId: deviceId,
+        connected: deviceState.connected,
+        connectionState: deviceState.connectionState,
+        powerState: deviceState.powerState || 'unknown',
+        presence: deviceState.presence.state,
+        volume: deviceState.volume || 0,
+        muted: deviceState.muted || false,
+        currentApp: deviceState.currentApp || 'unknown',
+        lastActivity: deviceState.lastActivity
+    };
+}
+
+// Open an SSE stream for one device or (deviceId null) all devices
+function openEventStream(req, res, deviceId) {
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    
+    const matches = (event) => !deviceId || event.deviceId === deviceId;
+    const oldestId = eventLog.length > 0 ? eventLog[0].id : nextEventId;
+    
+    if (!isNaN(lastEventId) && lastEventId >= oldestId - 1) {
+        // Resume: replay everything the client missed
+        eventLog.filter(event => event.id > lastEventId && matches(event))
+            .forEach(event => writeSseEvent(res, event));
+    } else {
+        // Fresh connection, or missed events already dropped from the buffer: send current state
+        if (!isNaN(lastEventId)) {
+            res.write(`event: resync\ndata: ${JSON.stringify({ lastEventId: lastEventId, oldestAvailable: oldestId })}\n\n`);
+        }
+        const ids = deviceId ? [deviceId] : Array.from(devices.keys());
+        ids.filter(id => devices.has(id)).forEach(id => {
+            res.write(`event: snapshot\ndata: ${JSON.stringify(getDeviceSnapshot(id))}\n\n`);
         });
-        
-        remote.on('unpaired', () => {
-            console.log(`[${deviceId}] ! Device unpaired`);
+    }
+    
+    const stream = { res: res, deviceId: deviceId };
+    eventStreams.add(stream);
+    
+    const heartbeat = setInterval(() => {
+        res.write(`event: heartbeat\ndata: ${JSON.stringify({ timestamp: Date.now(), lastEventId: nextEventId - 1 })}\n\n`);
+    }, EVENT_HEARTBEAT);
+    
+    eventsLog.info(`Event stream opened (${deviceId || 'all devices'}), ${eventStreams.size} active`);
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        eventStreams.delete(stream);
+        eventsLog.info(`Event stream closed (${deviceId || 'all devices'}), ${eventStreams.size} active`);
+    });
+}
+
+// Stream events for all devices
+app.get('/events', (req, res) => {
+    openEventStream(req, res, null);
+});
+
+// Stream events for one device
+app.get('/events/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    openEventStream(req, res, req.params.deviceId);
+});
+
+// ====================
+// Webhooks
+// ====================
+
+// Registered callback URLs: webhookId -> { id, deviceId ('*' = all devices), url, headers, createdAt }
+const webhooks = new Map();
+
+// Delivery status per webhook (in memory only): counters, last result and recent attempts
+const webhookStatus = new Map();
+
+const WEBHOOK_HISTORY_SIZE = 20;
+
+function saveWebhooks() {
+    saveMapStore('webhooks', webhooks);
+}
+
+function getWebhookStatus(webhookId) {
+    if (!webhookStatus.has(webhookId)) {
+        webhookStatus.set(webhookId, {
+            delivered: 0,
+            failed: 0,
+            pending: 0,
+            lastAttemptAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            recent: []
         });
-        
-        remote.on('error', (error) => {
-            console.error(`[${deviceId}] Remote error:`, error);
+    }
+    return webhookStatus.get(webhookId);
+}
+
+// Forward state changes from the event stream to the webhooks registered for that device
+eventListeners.push((event) => {
+    if (event.type !== 'state') {
+        return;
+    }
+    
+    const targets = Array.from(webhooks.values())
+        .filter(hook => hook.deviceId === event.deviceId || hook.deviceId === '*');
+    if (targets.length === 0) {
+        return;
+    }
+    
+    const payload = {
+        event: 'state_changed',
+        deviceId: event.deviceId,
+        sequence: event.id,
+        timestamp: event.timestamp,
+        changes: event.data.changes,
+        state: event.data.state
+    };
+    
+    targets.forEach(hook => deliverWebhook(hook, payload, 0));
+});
+
+// POST a JSON body, resolving with the HTTP status code
+function postJson(url, payload, headers) {
+    return new Promise((resolve, reject) => {
+        const body = JSON.stringify(payload);
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: WEBHOOK_TIMEOUT
+        }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
         });
         
-        // Store pairing state temporarily
-        devices.set(`pairing_${deviceId}`, pairingState);
-        
-        console.log(`[${deviceId}] Starting remote.start()...`);
+        req.on('timeout', () => req.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT}ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Deliver one payload, retrying with exponential backoff (1s, 2s, 4s ... max 60s)
+async function deliverWebhook(hook, payload, attempt) {
+    const status = getWebhookStatus(hook.id);
+    const record = { sequence: payload.sequence, deviceId: payload.deviceId, attempt: attempt + 1, at: Date.now() };
+    status.lastAttemptAt = record.at;
+    
+    try {
+        const statusCode = await postJson(hook.url, payload, hook.headers);
+        record.statusCode = statusCode;
+        if (statusCode < 200 || statusCode >= 300) {
+            throw new Error(`HTTP ${statusCode}`);
+        }
+        record.success = true;
+        status.delivered++;
+        status.lastSuccessAt = Date.now();
+    } catch (error) {
+        record.success = false;
+        record.error = error.message;
+        status.lastError = error.message;
+    }
+    
+    status.recent.unshift(record);
+    status.recent.length = Math.min(status.recent.length, WEBHOOK_HISTORY_SIZE);
+    
+    if (record.success) {
+        return;
+    }
+    
+    // Webhook was removed while we were delivering - stop retrying
+    if (!webhooks.has(hook.id)) {
+        return;
+    }
+    
+    if (attempt >= WEBHOOK_MAX_RETRIES) {
+        status.failed++;
+        webhookLog.error(`Giving up on #${payload.sequence} for ${payload.deviceId} after ${attempt + 1} attempts: ${record.error}`, { webhookId: hook.id });
+        return;
+    }
+    
+    const delay = Math.min(60000, 1000 * Math.pow(2, attempt));
+    webhookLog.warn(`Delivery failed (${record.error}), retrying in ${delay / 1000}s`, { webhookId: hook.id });
+    status.pending++;
+    setTimeout(() => {
+        status.pending--;
+        deliverWebhook(hook, payload, attempt + 1);
+    }, delay);
+}
+
+function describeWebhook(hook) {
+    return {
+        ...hook,
+        headers: hook.headers ? Object.keys(hook.headers) : [],
+        status: getWebhookStatus(hook.id)
+    };
+}
+
+// Register webhook
+app.post('/webhook/register', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        url: { type: 'string', required: true, pattern: /^https?:\/\/[^\s]+$/i, patternMessage: 'Webhook url must be http or https' },
+        headers: { type: 'object' }
+    }
+}), (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const url = req.body.url;
+        const headers = req.body.headers;
         
-        // Start pairing
-        await remote.start();
+        try {
+            new URL(url);
+        } catch (error) {
+            throw new ApiError('INVALID_REQUEST', `Invalid webhook url: ${error.message}`);
+        }
         
-        console.log(`[${deviceId}] âœ" remote.start() completed`);
+        // Re-registering the same URL for a device replaces the old entry
+        const existing = Array.from(webhooks.values()).find(hook => hook.deviceId === deviceId && hook.url === url);
+        const webhookId = existing ? existing.id : crypto.randomBytes(6).toString('hex');
         
-        // Give it a brief moment for events to fire
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        webhooks.set(webhookId, {
+            id: webhookId,
+            deviceId: deviceId,
+            url: url,
+            headers: headers || {},
+            createdAt: existing ? existing.createdAt : Date.now()
+        });
+        saveWebhooks();
         
-        console.log(`[${deviceId}] Pairing initiated successfully`);
-        console.log(`[${deviceId}] Code displayed: ${pairingState.codeDisplayed}`);
+        webhookLog.info(`Webhook ${existing ? 'updated' : 'registered'}: ${webhookId} -> ${url} (${deviceId})`);
         
         res.json({
             success: true,
-            message: 'Pairing initiated - check TV for 6-digit code',
-            deviceId: deviceId,
-            codeDisplayed: pairingState.codeDisplayed
+            message: `Webhook ${existing ? 'updated' : 'registered'}`,
+            webhookId: webhookId
         });
         
     } catch (error) {
-        console.error('âœ— PAIRING START FAILED:', error.message);
-        console.error('Error details:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to start pairing'
+        webhookLog.error('Register webhook error', { error });
+        sendError(res, error);
+    }
+});
+
+// List webhooks
+app.get('/webhooks', (req, res) => {
+    const deviceId = req.query.deviceId;
+    const hookList = Array.from(webhooks.values())
+        .filter(hook => !deviceId || hook.deviceId === deviceId || hook.deviceId === '*')
+        .map(describeWebhook);
+    
+    res.json({
+        success: true,
+        webhooks: hookList,
+        count: hookList.length
+    });
+});
+
+// Get webhook with delivery status
+app.get('/webhook/:webhookId', validateRequest({
+    params: { webhookId: NAME }
+}), (req, res) => {
+    const hook = webhooks.get(req.params.webhookId);
+    if (!hook) {
+        return sendError(res, new ApiError('WEBHOOK_NOT_FOUND', `Webhook '${req.params.webhookId}' not found`));
+    }
+    
+    res.json({
+        success: true,
+        webhook: describeWebhook(hook)
+    });
+});
+
+// Delete webhook
+app.delete('/webhook/:webhookId', validateRequest({
+    params: { webhookId: NAME }
+}), (req, res) => {
+    try {
+        const webhookId = req.params.webhookId;
+        
+        if (webhooks.has(webhookId)) {
+            webhooks.delete(webhookId);
+            webhookStatus.delete(webhookId);
+            saveWebhooks();
+            webhookLog.info(`Webhook deleted: ${webhookId}`);
+            res.json({
+                success: true,
+                message: `Webhook '${webhookId}' deleted`
+            });
+        } else {
+            throw new ApiError('WEBHOOK_NOT_FOUND', `Webhook '${webhookId}' not found`);
+        }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+loadMapStore('webhooks', webhooks);
+
+// ====================
+// Sync Mirror Mode
+// ====================
+
+// A group with `mirror: true` repeats power, app, volume and mute changes seen on its
+// leader on every follower, except attributes a follower opted out of in `exclude`.
+// Changes the bridge made by mirroring are never mirrored again, so two groups that
+// mirror each other (or a follower that leads another group) can't ping-pong.
+
+// After a mirrored command, the follower's own change events are ignored this long
+const MIRROR_ECHO_WINDOW = 5000;
+
+// Echo windows per `${deviceId}:${attribute}` - Infinity while a mirrored command runs
+const mirrorEchoes = new Map();
+
+// Latest volume (percent) waiting to be mirrored per follower - a burst of leader volume
+// steps becomes one ramp instead of a queue full of them
+const mirrorVolumeTargets = new Map();
+
+// In-memory activity per group: { mirrored, skipped, suppressed, failed, lastMirroredAt, lastError }
+const mirrorStats = new Map();
+
+function getMirrorStats(groupName) {
+    if (!mirrorStats.has(groupName)) {
+        mirrorStats.set(groupName, {
+            mirrored: 0,
+            skipped: 0,
+            suppressed: 0,
+            failed: 0,
+            lastMirroredAt: null,
+            lastError: null
         });
     }
+    return mirrorStats.get(groupName);
+}
+
+function isMirrorEcho(deviceId, attribute) {
+    const key = `${deviceId}:${attribute}`;
+    const until = mirrorEchoes.get(key);
+    if (until === undefined) {
+        return false;
+    }
+    if (until <= Date.now()) {
+        mirrorEchoes.delete(key);
+        return false;
+    }
+    return true;
+}
+
+// Bring one follower to the leader's value. Runs inside the follower's command queue and
+// returns false when the follower already matched. Keys go through sendKeyPress, so they
+// respect the follower's profile and track its state.
+async function applyMirror(deviceId, attribute, value) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.remote) {
+        throw new ApiError('DEVICE_NOT_CONNECTED', `Device ${deviceId} is not connected`);
+    }
+    
+    if (attribute === 'power') {
+        if (deviceState.powerState === value) {
+            return false;
+        }
+        await sendKeyPress(deviceId, deviceState, value === 'on' ? 224 : 223, value === 'on' ? 'WAKEUP' : 'SLEEP');
+    } else if (attribute === 'app') {
+        if (deviceState.currentApp === value) {
+            return false;
+        }
+        await deviceState.remote.sendAppLink(resolveAppLaunch(deviceId, value).launchUri);
+        trackApp(deviceId, value);
+    } else if (attribute === 'mute') {
+        if (deviceState.muted === value) {
+            return false;
+        }
+        await sendKeyPress(deviceId, deviceState, 164, 'VOLUME_MUTE');
+    } else if (attribute === 'volume') {
+        const percent = mirrorVolumeTargets.get(deviceId);
+        mirrorVolumeTargets.delete(deviceId);
+        await setVolumePercent(deviceId, percent);
+    }
+    return true;
+}
+
+function mirrorToFollower(group, deviceId, attribute, value) {
+    const stats = getMirrorStats(group.name);
+    const deviceState = devices.get(deviceId);
+    
+    if (!deviceState || !deviceState.connected) {
+        syncLog.debug(`Mirror ${attribute}: follower not connected, skipping`, { groupName: group.name, deviceId });
+        stats.skipped++;
+        return;
+    }
+    // A TV that is off only follows power
+    if (attribute !== 'power' && deviceState.powerState === 'off') {
+        stats.skipped++;
+        return;
+    }
+    
+    if (attribute === 'volume') {
+        // The follower's volume adjustment applies as for group volume commands
+        const adjust = (group.volumeAdjust || {})[deviceId] || {};
+        const percent = Math.min(100, Math.max(0, value * (adjust.scale || 1) + (adjust.offset || 0)));
+        const waiting = mirrorVolumeTargets.has(deviceId);
+        mirrorVolumeTargets.set(deviceId, Math.round(percent));
+        if (waiting) {
+            return;
+        }
+    }
+    
+    const echoKey = `${deviceId}:${attribute}`;
+    const keyCode = attribute === 'power' ? (value === 'on' ? 224 : 223) : null;
+    
+    queueCommand(deviceId, `mirror ${attribute}`, async () => {
+        mirrorEchoes.set(echoKey, Infinity);
+        try {
+            return await applyMirror(deviceId, attribute, value);
+        } finally {
+            mirrorEchoes.set(echoKey, Date.now() + MIRROR_ECHO_WINDOW);
+        }
+    }, { source: 'mirror', priority: keyCode ? keyPriority(keyCode) : 'normal' }).then((changed) => {
+        if (changed) {
+            stats.mirrored++;
+            stats.lastMirroredAt = Date.now();
+            syncLog.info(`Mirrored ${attribute} from ${group.leader}`, { groupName: group.name, deviceId });
+        } else {
+            stats.skipped++;
+        }
+    }).catch((error) => {
+        if (attribute === 'volume') {
+            mirrorVolumeTargets.delete(deviceId);
+        }
+        stats.failed++;
+        stats.lastError = `${deviceId}: ${error.message}`;
+        syncLog.warn(`Mirror ${attribute} failed: ${error.message}`, { groupName: group.name, deviceId });
+    });
+}
+
+// Repeat leader state changes on the followers of every mirror-mode group it leads
+eventListeners.push((event) => {
+    if (event.type !== 'state') {
+        return;
+    }
+    
+    const groups = Array.from(syncGroups.values())
+        .filter(group => group.mirror && group.leader === event.deviceId);
+    if (groups.length === 0) {
+        return;
+    }
+    
+    for (const [attribute, field] of Object.entries(MIRROR_ATTRIBUTES)) {
+        const change = event.data.changes[field];
+        // Values learned on connect ('unknown' -> ...) are not changes the user made
+        if (!change || change.from === null || change.from === 'unknown' || change.to === 'unknown') {
+            continue;
+        }
+        
+        const echo = isMirrorEcho(event.deviceId, attribute);
+        
+        let value = change.to;
+        if (attribute === 'volume') {
+            const leader = devices.get(event.deviceId);
+            value = Math.round(change.to / (leader.volumeMax || 100) * 100);
+        }
+        
+        for (const group of groups) {
+            if (echo) {
+                getMirrorStats(group.name).suppressed++;
+                syncLog.debug(`Not mirroring ${attribute}: the change came from mirroring`, { groupName: group.name, deviceId: event.deviceId });
+                continue;
+            }
+            
+            const exclude = group.exclude || {};
+            group.devices
+                .filter(deviceId => deviceId !== group.leader && !(exclude[deviceId] || []).includes(attribute))
+                .forEach(deviceId => mirrorToFollower(group, deviceId, attribute, value));
+        }
+    }
 });
 
-// Complete pairing
-app.post('/pair/complete', async (req, res) => {
-    console.log('\n=== PAIRING COMPLETE REQUEST ===');
+// ====================
+// Scheduler
+// ====================
+
+// Scheduled actions: scheduleId -> { id, name, deviceId | groupName, action, cron | at, timeZone,
+// enabled, createdAt, nextRun, lastRun, lastResult }. One-shot schedules stay listed (disabled)
+// with their result after they run.
+const schedules = new Map();
+const scheduleTimers = new Map();
+
+// Sleep timers: deviceId -> { deviceId, sleepAt, fadeMinutes, restoreVolume, fadeFromVolume, createdAt }
+const sleepTimers = new Map();
+const sleepTimerHandles = new Map();
+
+// Volume to put back when a TV that was faded out by a sleep timer is turned on again
+const pendingVolumeRestores = new Map();
+
+const SCHEDULE_ACTION_TYPES = ['key', 'app', 'volume', 'scene'];
+const SCHEDULE_FIELDS = ['name', 'deviceId', 'groupName', 'action', 'cron', 'at', 'timeZone', 'enabled'];
+const SCHEDULE_MISSED_GRACE = 15 * 60 * 1000; // run jobs missed while the bridge was down, if not older than this
+const FADE_STEP_INTERVAL = 5000;
+const MAX_TIMEOUT = 0x7fffffff; // setTimeout limit (~24.8 days)
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+function saveSchedules() {
+    saveMapStore('schedules', schedules);
+}
+
+function saveSleepTimers() {
+    saveMapStore('sleepTimers', sleepTimers);
+}
+
+// Run a callback at an absolute time; long waits are chained past the setTimeout limit
+function timerAt(timestamp, callback) {
+    const handle = {};
+    const wait = () => {
+        const remaining = timestamp - Date.now();
+        handle.timer = setTimeout(remaining > MAX_TIMEOUT ? wait : callback, Math.max(0, Math.min(remaining, MAX_TIMEOUT)));
+    };
+    wait();
+    return handle;
+}
+
+const zoneFormatters = new Map();
+
+function validateTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    } catch (error) {
+        throw new Error(`Unknown time zone '${timeZone}'`);
+    }
+}
+
+// Wall-clock fields of a timestamp in the given time zone
+function getZonedParts(timestamp, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    
+    return {
+        year: parseInt(parts.year),
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        second: parseInt(parts.second),
+        weekday: WEEKDAYS.indexOf(parts.weekday)
+    };
+}
+
+// Parse a one-shot time: epoch ms, an ISO string with offset, or local "YYYY-MM-DD HH:mm[:ss]" in timeZone
+function parseScheduleTime(value, timeZone) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    
+    const local = String(value).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!local) {
+        const timestamp = Date.parse(value);
+        if (isNaN(timestamp)) {
+            throw new Error(`Invalid time '${value}'`);
+        }
+        return timestamp;
+    }
+    
+    // Guess the instant as if the wall time were UTC, then correct by the zone's offset at that instant
+    const [year, month, day, hour, minute, second] = local.slice(1).map(field => parseInt(field || '0'));
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    let timestamp = wall;
+    for (let i = 0; i < 2; i++) {
+        const parts = getZonedParts(timestamp, timeZone);
+        timestamp += wall - Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+    return timestamp;
+}
+
+// Parse a 5-field cron expression (minute hour day-of-month month day-of-week)
+function parseCron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Cron expression '${expression}' must have 5 fields (minute hour day month weekday)`);
+    }
     
-    try {
-        const deviceId = req.body.deviceId;
-        const code = req.body.code;
-        
-        if (!deviceId || !code) {
-            throw new Error('Missing required parameters: deviceId, code');
+    return fields.map((field, index) => {
+        const { name, min, max } = CRON_FIELDS[index];
+        const values = new Set();
+        
+        for (const part of field.split(',')) {
+            const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+            if (!match) {
+                throw new Error(`Invalid ${name} field '${field}' in cron expression`);
+            }
+            
+            let [start, end] = match[1] === '*' ? [min, max] : match[1].split('-').map(Number);
+            const step = match[2] ? parseInt(match[2]) : 1;
+            if (end === undefined) {
+                end = match[2] ? max : start;
+            }
+            if (start < min || end > max || start > end || step < 1) {
+                throw new Error(`Invalid ${name} field '${field}' in cron expression`);
+            }
+            
+            for (let value = start; value <= end; value += step) {
+                values.add(index === 4 && value === 7 ? 0 : value); // 7 = Sunday too
+            }
         }
         
-        console.log(`Device ID: ${deviceId}`);
-        console.log(`Code: ${code}`);
+        return { values: values, wildcard: field.startsWith('*') };
+    });
+}
+
+function cronDayMatches(cron, parts) {
+    const dayOfMonth = cron[2];
+    const dayOfWeek = cron[4];
+    const monthDayMatches = dayOfMonth.values.has(parts.day);
+    const weekDayMatches = dayOfWeek.values.has(parts.weekday);
+    
+    // Like classic cron: when both day fields are restricted, matching either is enough
+    if (!dayOfMonth.wildcard && !dayOfWeek.wildcard) {
+        return monthDayMatches || weekDayMatches;
+    }
+    return monthDayMatches && weekDayMatches;
+}
+
+// Next time after `after` that matches the expression in timeZone. `previous` (the last run)
+// prevents a second run when a DST change repeats the same wall-clock minute.
+function nextCronRun(expression, timeZone, after, previous) {
+    const cron = parseCron(expression);
+    const previousParts = previous ? getZonedParts(previous, timeZone) : null;
+    let timestamp = Math.floor(after / 60000) * 60000 + 60000;
+    
+    // Skip by hours while the day or hour doesn't match (safe across DST), then by minutes
+    for (let i = 0; i < 366 * 24 + 60; i++) {
+        const parts = getZonedParts(timestamp, timeZone);
         
-        // Validate code format - can be alphanumeric (letters and numbers)
-        if (!/^[A-Z0-9]{6}$/i.test(code)) {
-            throw new Error('Code must be exactly 6 characters (letters or numbers)');
+        if (!cron[3].values.has(parts.month) || !cronDayMatches(cron, parts) || !cron[1].values.has(parts.hour)) {
+            timestamp += (60 - parts.minute) * 60000;
+            continue;
         }
-        
-        // Convert to uppercase to ensure consistency
-        const upperCode = code.toUpperCase();
-        
-        // Get pairing state
-        const pairingState = devices.get(`pairing_${deviceId}`);
-        if (!pairingState || !pairingState.remote) {
-            throw new Error('No pairing in progress for this device. Start pairing first.');
+        if (!cron[0].values.has(parts.minute)) {
+            timestamp += 60000;
+            continue;
         }
-        
-        const remote = pairingState.remote;
-        
-        console.log(`[${deviceId}] Sending code to TV...`);
-        
-        // Send pairing code (use uppercase version)
-        await remote.sendCode(upperCode);
-        
-        console.log(`[${deviceId}] âœ" Code sent successfully`);
-        
-        // Wait for pairing to complete
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        
-        // Get certificate (contains both cert and key)
-        const cert = remote.getCertificate();
-        
-        if (!cert) {
-            throw new Error('Failed to get certificate from remote');
+        if (previousParts && ['year', 'month', 'day', 'hour', 'minute'].every(field => parts[field] === previousParts[field])) {
+            timestamp += 60000;
+            continue;
         }
-        
-        console.log(`[${deviceId}] âœ" Certificates obtained`);
-        
-        // Initialize device state with paired remote
-        const deviceState = initializeDeviceState(deviceId, remote, pairingState.host);
-        deviceState.connected = true;
-        deviceState.powerState = 'on';
-        
-        // Start state polling
-        startStatePolling(deviceId);
-        
-        // Clean up pairing state
-        devices.delete(`pairing_${deviceId}`);
-        
-        console.log(`[${deviceId}] âœ" PAIRING SUCCESSFUL`);
-        
-        res.json({
-            success: true,
-            message: 'Pairing successful',
-            deviceId: deviceId,
-            certificate: cert.toString('base64'),
-            privateKey: cert.toString('base64')  // Same as cert for this library
-        });
-        
-    } catch (error) {
-        console.error('âœ— PAIRING COMPLETE FAILED:', error.message);
-        console.error('Error details:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to complete pairing'
-        });
+        return timestamp;
     }
-});
+    
+    return null;
+}
 
-// ====================
-// Connection Management
-// ====================
+function validateScheduleAction(action, groupName) {
+    if (!action || !SCHEDULE_ACTION_TYPES.includes(action.type)) {
+        throw new ApiError('INVALID_REQUEST', `action.type must be one of ${SCHEDULE_ACTION_TYPES.join(', ')}`);
+    }
+    if (action.type === 'key' && isNaN(parseInt(action.keyCode))) {
+        throw new ApiError('INVALID_REQUEST', 'Key action requires keyCode');
+    }
+    if (action.type === 'app' && !action.appUrl) {
+        throw new ApiError('INVALID_REQUEST', 'App action requires appUrl');
+    }
+    if (action.type === 'volume' && isNaN(parseInt(action.volume))) {
+        throw new ApiError('INVALID_REQUEST', 'Volume action requires volume');
+    }
+    if (action.type === 'scene' && !scenes.has(action.sceneName)) {
+        throw new ApiError('SCENE_NOT_FOUND', `Scene '${action.sceneName}' not found`);
+    }
+    if (groupName && !syncGroups.has(groupName)) {
+        throw new ApiError('GROUP_NOT_FOUND', `Sync group '${groupName}' not found`);
+    }
+}
 
-// Connect to TV
-app.post('/connect', async (req, res) => {
-    console.log('\n=== CONNECT REQUEST ===');
+// Merge the schedule fields given in a request over an existing schedule and validate the result
+function buildSchedule(body, existing) {
+    const fields = {};
+    SCHEDULE_FIELDS
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { fields[field] = body[field]; });
+    
+    const schedule = {
+        ...existing,
+        ...fields
+    };
+    if (schedule.enabled === undefined) {
+        schedule.enabled = true;
+    }
+    
+    if (fields.cron !== undefined) {
+        delete schedule.at;
+    }
+    if (fields.at !== undefined) {
+        delete schedule.cron;
+    }
+    if (fields.groupName !== undefined) {
+        delete schedule.deviceId;
+    }
+    if (fields.deviceId !== undefined) {
+        delete schedule.groupName;
+    }
+    
+    schedule.timeZone = schedule.timeZone || TIME_ZONE;
+    
+    if (!schedule.deviceId && !schedule.groupName) {
+        throw new ApiError('INVALID_REQUEST', 'Missing required parameter: deviceId or groupName');
+    }
+    if (!schedule.cron && schedule.at === undefined) {
+        throw new ApiError('INVALID_REQUEST', 'Missing required parameter: cron or at');
+    }
+    if (fields.deviceId !== undefined) {
+        requireKnownDevice(schedule.deviceId);
+    }
+    
+    validateScheduleAction(schedule.action, schedule.groupName);
     
     try {
-        const deviceId = req.body.deviceId;
-        const host = req.body.host;
-        const certificate = req.body.certificate;
-        const privateKey = req.body.privateKey;
-        const deviceName = req.body.deviceName || 'Hubitat';
-        
-        if (!deviceId || !host || !certificate || !privateKey) {
-            throw new Error('Missing required parameters');
+        validateTimeZone(schedule.timeZone);
+        if (schedule.cron) {
+            parseCron(schedule.cron);
+        } else {
+            schedule.at = parseScheduleTime(schedule.at, schedule.timeZone);
         }
-        
-        console.log(`Device ID: ${deviceId}`);
-        console.log(`Host: ${host}`);
-        console.log(`Device Name: ${deviceName}`);
-        
-        // Check if already connected
-        const existing = devices.get(deviceId);
-        if (existing && existing.remote && existing.connected) {
-            console.log(`[${deviceId}] Already connected, reusing existing connection`);
-            return res.json({
-                success: true,
-                message: 'Already connected (reused existing)',
-                deviceId: deviceId
-            });
+    } catch (error) {
+        throw new ApiError('INVALID_REQUEST', error.message);
+    }
+    if (!schedule.cron && schedule.enabled && schedule.at <= Date.now() && (fields.at !== undefined || fields.enabled !== undefined)) {
+        throw new ApiError('INVALID_REQUEST', 'at must be in the future');
+    }
+    
+    return schedule;
+}
+
+async function runScheduledAction(schedule) {
+    const action = schedule.action;
+    
+    if (schedule.groupName) {
+        let results;
+        if (action.type === 'scene') {
+            const group = syncGroups.get(schedule.groupName);
+            if (!group) {
+                throw new ApiError('GROUP_NOT_FOUND', `Sync group '${schedule.groupName}' not found`);
+            }
+            results = await Promise.all(group.devices.map(async (deviceId) => {
+                try {
+                    const result = await executeScene(action.sceneName, deviceId);
+                    return { deviceId, success: result.success, error: result.error };
+                } catch (error) {
+                    return { deviceId, success: false, error: error.message };
+                }
+            }));
+        } else {
+            results = await executeSyncCommand(schedule.groupName, action);
         }
         
-        // Decode certificates
-        const certBuffer = Buffer.from(certificate, 'base64');
-        const keyBuffer = Buffer.from(privateKey, 'base64');
-        
-        // Create remote instance
-        const remote = new AndroidRemote(host, {
-            name: deviceName,  // Use device name from Hubitat
-            cert: certBuffer,
-            key: keyBuffer
-        });
-        
-        console.log(`[${deviceId}] Starting connection...`);
-        
-        // Start connection
-        await remote.start();
-        
-        // Initialize device state (this sets up event listeners)
-        const deviceState = initializeDeviceState(deviceId, remote, host);
-        deviceState.connected = true;
-        
-        // Start state polling
-        startStatePolling(deviceId);
-        
-        console.log(`[${deviceId}] âœ" Connected successfully`);
-        
-        res.json({
-            success: true,
-            message: 'Connected successfully',
-            deviceId: deviceId
-        });
-        
-    } catch (error) {
-        console.error('Connection error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to connect'
-        });
+        const failed = results.filter(result => !result.success);
+        return {
+            success: failed.length === 0,
+            error: failed.length > 0 ? `Failed on ${failed.map(result => result.deviceId).join(', ')}` : undefined,
+            results: results
+        };
     }
-});
+    
+    const deviceId = schedule.deviceId;
+    
+    if (action.type === 'scene') {
+        const result = await executeScene(action.sceneName, deviceId);
+        return {
+            success: result.success,
+            error: result.success ? undefined : `Step ${result.failedStep}: ${result.error}`
+        };
+    }
+    
+    const deviceState = requireConnectedDevice(deviceId);
+    
+    if (action.type === 'key') {
+        const keyCode = parseInt(action.keyCode);
+        await queueCommand(deviceId, `key ${action.keyName || keyCode}`, () => sendKeyPress(deviceId, deviceState, keyCode, action.keyName),
+            { source: 'schedule', priority: keyPriority(keyCode) });
+    } else if (action.type === 'app') {
+        await queueCommand(deviceId, `app ${action.appUrl}`, async () => {
+            await deviceState.remote.sendAppLink(action.appUrl);
+            trackApp(deviceId, action.appUrl);
+        }, { source: 'schedule' });
+    } else if (action.type === 'volume') {
+        await queueCommand(deviceId, `volume ${action.volume}`, () => setVolumeLevel(deviceId, parseInt(action.volume)), { source: 'schedule' });
+    }
+    
+    return { success: true };
+}
 
-// Disconnect
-app.post('/disconnect', async (req, res) => {
+async function runSchedule(scheduleId) {
+    const schedule = schedules.get(scheduleId);
+    scheduleTimers.delete(scheduleId);
+    if (!schedule) {
+        return;
+    }
+    
+    const scheduledFor = schedule.nextRun;
+    const startedAt = Date.now();
+    const target = schedule.deviceId || `group:${schedule.groupName}`;
+    schedulerLog.info(`Running '${schedule.name}' (${schedule.action.type}) on ${target}`, { scheduleId: schedule.id });
+    
+    let result;
     try {
-        const deviceId = req.body.deviceId;
-        
-        if (!deviceId) {
-            throw new Error('Missing deviceId');
+        result = await runScheduledAction(schedule);
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
+    
+    if (result.success) {
+        schedulerLog.info('Done', { scheduleId: schedule.id });
+    } else {
+        schedulerLog.error(`Failed: ${result.error}`, { scheduleId: schedule.id });
+    }
+    
+    // Deleted or replaced while running
+    if (schedules.get(scheduleId) !== schedule) {
+        return;
+    }
+    
+    schedule.lastRun = scheduledFor;
+    schedule.lastResult = { at: startedAt, durationMs: Date.now() - startedAt, ...result };
+    if (!schedule.cron) {
+        schedule.enabled = false;
+    }
+    armSchedule(schedule);
+    saveSchedules();
+}
+
+function disarmSchedule(scheduleId) {
+    const handle = scheduleTimers.get(scheduleId);
+    if (handle) {
+        clearTimeout(handle.timer);
+        scheduleTimers.delete(scheduleId);
+    }
+}
+
+// Work out the next run and set its timer
+function armSchedule(schedule) {
+    disarmSchedule(schedule.id);
+    
+    if (!schedule.enabled) {
+        schedule.nextRun = null;
+        return;
+    }
+    
+    schedule.nextRun = schedule.cron
+        ? nextCronRun(schedule.cron, schedule.timeZone, Date.now(), schedule.lastRun)
+        : schedule.at;
+    
+    if (schedule.nextRun) {
+        scheduleTimers.set(schedule.id, timerAt(schedule.nextRun, () => runSchedule(schedule.id)));
+    }
+}
+
+function describeSleepTimer(timer) {
+    const handle = sleepTimerHandles.get(timer.deviceId);
+    return {
+        ...timer,
+        remainingSeconds: Math.max(0, Math.round((timer.sleepAt - Date.now()) / 1000)),
+        fading: Boolean(handle && handle.fading)
+    };
+}
+
+function disarmSleepTimer(deviceId) {
+    const handle = sleepTimerHandles.get(deviceId);
+    if (handle) {
+        clearTimeout(handle.sleep.timer);
+        if (handle.fade) {
+            clearTimeout(handle.fade.timer);
+        }
+        sleepTimerHandles.delete(deviceId);
+    }
+}
+
+function armSleepTimer(timer) {
+    disarmSleepTimer(timer.deviceId);
+    
+    const handle = {
+        fading: false,
+        sleep: timerAt(timer.sleepAt, () => fireSleepTimer(timer.deviceId, handle))
+    };
+    if (timer.fadeMinutes > 0) {
+        handle.fade = timerAt(timer.sleepAt - timer.fadeMinutes * 60000, () => fadeVolume(timer.deviceId, handle));
+    }
+    sleepTimerHandles.set(timer.deviceId, handle);
+}
+
+// Lower the volume in proportion to the time left until the sleep timer fires
+async function fadeVolume(deviceId, handle) {
+    const timer = sleepTimers.get(deviceId);
+    const deviceState = devices.get(deviceId);
+    if (!timer || !deviceState || !deviceState.remote) {
+        return;
+    }
+    
+    handle.fading = true;
+    if (timer.fadeFromVolume === null || timer.fadeFromVolume === undefined) {
+        timer.fadeFromVolume = deviceState.volume;
+        saveSleepTimers();
+    }
+    
+    const fadeDuration = timer.fadeMinutes * 60000;
+    schedulerLog.info(`Sleep timer: fading volume from ${timer.fadeFromVolume} over ${timer.fadeMinutes}min`, { deviceId });
+    
+    // Stops once the timer fires, is cancelled or is re-armed with a new handle
+    while (sleepTimerHandles.get(deviceId) === handle) {
+        const remaining = timer.sleepAt - Date.now();
+        if (remaining <= 0) {
+            break;
         }
         
-        const deviceState = devices.get(deviceId);
-        if (deviceState) {
-            // Stop keepalive
-            if (deviceState.keepaliveInterval) {
-                clearInterval(deviceState.keepaliveInterval);
-                deviceState.keepaliveInterval = null;
-                console.log(`[${deviceId}] Keepalive stopped`);
-            }
-            
-            // Stop state polling
-            stopStatePolling(deviceId);
-            
-            // Stop remote
-            if (deviceState.remote) {
-                try {
-                    await deviceState.remote.stop();
-                } catch (e) {
-                    console.error(`[${deviceId}] Error stopping remote:`, e);
-                }
+        const target = Math.floor(timer.fadeFromVolume * Math.min(1, remaining / fadeDuration));
+        if (target < deviceState.volume) {
+            try {
+                await queueCommand(deviceId, `volume ${target}`, () => setVolumeLevel(deviceId, target), { source: 'sleep-timer' });
+            } catch (error) {
+                schedulerLog.warn(`Sleep timer fade step failed: ${error.message}`, { deviceId });
             }
-            
-            devices.delete(deviceId);
         }
         
-        console.log(`[${deviceId}] Disconnected`);
-        
-        res.json({
-            success: true,
-            message: 'Disconnected'
-        });
+        await new Promise(resolve => setTimeout(resolve, Math.min(remaining, FADE_STEP_INTERVAL)));
+    }
+}
+
+async function fireSleepTimer(deviceId, handle) {
+    const timer = sleepTimers.get(deviceId);
+    if (!timer || sleepTimerHandles.get(deviceId) !== handle) {
+        return;
+    }
+    
+    disarmSleepTimer(deviceId);
+    sleepTimers.delete(deviceId);
+    saveSleepTimers();
+    
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.remote) {
+        schedulerLog.error('Sleep timer fired but device is not connected', { deviceId });
+        return;
+    }
+    
+    try {
+        await queueCommand(deviceId, 'key SLEEP', () => deviceState.remote.sendKey(RemoteKeyCode.KEYCODE_SLEEP, RemoteDirection.SHORT),
+            { source: 'sleep-timer', priority: 'high' });
+        trackPowerState(deviceId, 'off');
+        schedulerLog.info('Sleep timer: TV sent to sleep', { deviceId });
         
+        if (timer.restoreVolume && timer.fadeFromVolume !== null && timer.fadeFromVolume !== undefined) {
+            pendingVolumeRestores.set(deviceId, timer.fadeFromVolume);
+        }
     } catch (error) {
-        console.error('Disconnect error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        schedulerLog.error('Sleep timer failed', { deviceId, error });
+    }
+}
+
+// Put the pre-fade volume back once the TV is switched on again
+eventListeners.push((event) => {
+    if (event.type !== 'state' || !pendingVolumeRestores.has(event.deviceId)) {
+        return;
+    }
+    
+    const power = event.data.changes.powerState;
+    if (!power || power.to !== 'on') {
+        return;
     }
+    
+    const level = pendingVolumeRestores.get(event.deviceId);
+    pendingVolumeRestores.delete(event.deviceId);
+    schedulerLog.info(`Restoring volume ${level} after sleep timer fade`, { deviceId: event.deviceId });
+    queueCommand(event.deviceId, `volume ${level}`, () => setVolumeLevel(event.deviceId, level), { source: 'sleep-timer' }).catch(error => {
+        schedulerLog.warn(`Volume restore failed: ${error.message}`, { deviceId: event.deviceId });
+    });
 });
 
-// Get status
-app.get('/status/:deviceId', async (req, res) => {
-    try {
-        const deviceId = req.params.deviceId;
-        
-        const deviceState = devices.get(deviceId);
-        if (!deviceState) {
-            console.log(`[${deviceId}] Status query - device not found`);
-            return res.json({
-                success: true,
-                connected: false,
-                deviceId: deviceId
-            });
+// Arm everything loaded from disk. Jobs that came due while the bridge was down run now if
+// they are recent enough, otherwise they are recorded as missed.
+function startScheduler() {
+    const now = Date.now();
+    
+    for (const schedule of schedules.values()) {
+        if (schedule.enabled && !schedule.cron && schedule.at < now - SCHEDULE_MISSED_GRACE) {
+            schedulerLog.warn(`Missed '${schedule.name}' while the bridge was offline`, { scheduleId: schedule.id });
+            schedule.enabled = false;
+            schedule.lastResult = { at: now, success: false, error: 'Missed while the bridge was offline' };
         }
+        armSchedule(schedule);
+    }
+    saveSchedules();
+    
+    for (const timer of Array.from(sleepTimers.values())) {
+        if (timer.sleepAt < now - SCHEDULE_MISSED_GRACE) {
+            schedulerLog.warn('Dropping sleep timer missed while the bridge was offline', { deviceId: timer.deviceId });
+            sleepTimers.delete(timer.deviceId);
+            continue;
+        }
+        armSleepTimer(timer);
+    }
+    saveSleepTimers();
+    
+    schedulerLog.info(`Scheduler started: ${schedules.size} schedule(s), ${sleepTimers.size} sleep timer(s), time zone ${TIME_ZONE}`);
+}
+
+// Create schedule
+app.post('/schedule/create', validateRequest({
+    // at is epoch ms or a date/time string, parsed by buildSchedule
+    body: {
+        name: { type: 'string', minLength: 1, maxLength: 128 },
+        deviceId: { type: 'string', minLength: 1, maxLength: 128 },
+        groupName: { type: 'string', minLength: 1, maxLength: 128 },
+        action: { type: 'object', required: true },
+        cron: { type: 'string', minLength: 1, maxLength: 128 },
+        timeZone: { type: 'string', minLength: 1, maxLength: 64 },
+        enabled: { type: 'boolean' }
+    },
+    check: (req) => {
+        if ((req.body.deviceId === undefined) === (req.body.groupName === undefined)) {
+            return 'Give either deviceId or groupName';
+        }
+        if ((req.body.cron === undefined) === (req.body.at === undefined)) {
+            return 'Give either cron or at';
+        }
+        return null;
+    }
+}), (req, res) => {
+    try {
+        const scheduleId = crypto.randomBytes(6).toString('hex');
+        const schedule = buildSchedule(req.body, {
+            id: scheduleId,
+            name: scheduleId,
+            createdAt: Date.now(),
+            lastRun: null,
+            lastResult: null
+        });
         
-        // Update state before returning
-        await updateDeviceState(deviceId);
-        
-        const response = {
-            success: true,
-            connected: deviceState.connected,
-            deviceId: deviceId,
-            state: {
-                powerState: deviceState.powerState || 'unknown',
-                volume: deviceState.volume || 0,
-                muted: deviceState.muted || false,
-                currentApp: deviceState.currentApp || 'unknown',
-                lastActivity: deviceState.lastActivity
-            }
-        };
-        
-        console.log(`[${deviceId}] Status query response:`, JSON.stringify(response.state));
+        schedules.set(scheduleId, schedule);
+        armSchedule(schedule);
+        saveSchedules();
         
-        res.json(response);
+        schedulerLog.info(`Schedule created: ${scheduleId} '${schedule.name}' (${schedule.cron || new Date(schedule.at).toISOString()})`);
         
-    } catch (error) {
-        console.error('Status error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        res.json({
+            success: true,
+            message: `Schedule '${schedule.name}' created`,
+            scheduleId: scheduleId,
+            nextRun: schedule.nextRun
         });
+        
+    } catch (error) {
+        schedulerLog.error('Create schedule error', { error });
+        sendError(res, error);
     }
 });
 
-// Get power state specifically
-app.get('/power/:deviceId', async (req, res) => {
+// Modify schedule (only the given fields change)
+app.post('/schedule/update', validateRequest({
+    body: { scheduleId: NAME }
+}), (req, res) => {
     try {
-        const deviceId = req.params.deviceId;
+        const scheduleId = req.body.scheduleId;
         
-        const deviceState = devices.get(deviceId);
-        if (!deviceState) {
-            return res.json({
-                success: true,
-                powerState: 'unknown',
-                deviceId: deviceId
-            });
+        const existing = schedules.get(scheduleId);
+        if (!existing) {
+            throw new ApiError('SCHEDULE_NOT_FOUND', `Schedule '${scheduleId}' not found`);
         }
         
-        console.log(`[${deviceId}] Querying power state...`);
-        
-        // Force power state detection
-        await updateDeviceState(deviceId);
+        const schedule = buildSchedule(req.body, existing);
         
-        const powerState = deviceState.powerState || 'unknown';
+        schedules.set(scheduleId, schedule);
+        armSchedule(schedule);
+        saveSchedules();
         
-        console.log(`[${deviceId}] Power state: ${powerState}`);
+        schedulerLog.info(`Schedule updated: ${scheduleId}`);
         
         res.json({
             success: true,
-            powerState: powerState,
-            deviceId: deviceId
+            message: `Schedule '${schedule.name}' updated`,
+            scheduleId: scheduleId,
+            nextRun: schedule.nextRun
         });
         
     } catch (error) {
-        console.error('Power query error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        schedulerLog.error('Update schedule error', { error });
+        sendError(res, error);
     }
 });
 
-// ====================
-// Command Endpoints
-// ====================
+// List schedules
+app.get('/schedules', (req, res) => {
+    const deviceId = req.query.deviceId;
+    const scheduleList = Array.from(schedules.values())
+        .filter(schedule => !deviceId || schedule.deviceId === deviceId);
+    
+    res.json({
+        success: true,
+        schedules: scheduleList,
+        count: scheduleList.length,
+        timeZone: TIME_ZONE
+    });
+});
 
-// Send key
-app.post('/key', async (req, res) => {
+// Get schedule
+app.get('/schedule/:scheduleId', validateRequest({
+    params: { scheduleId: NAME }
+}), (req, res) => {
+    const schedule = schedules.get(req.params.scheduleId);
+    if (!schedule) {
+        return sendError(res, new ApiError('SCHEDULE_NOT_FOUND', `Schedule '${req.params.scheduleId}' not found`));
+    }
+    
+    res.json({
+        success: true,
+        schedule: schedule
+    });
+});
+
+// Delete schedule
+app.delete('/schedule/:scheduleId', validateRequest({
+    params: { scheduleId: NAME }
+}), (req, res) => {
     try {
-        const deviceId = req.body.deviceId;
-        const keyCode = parseInt(req.body.keyCode);
-        const keyName = req.body.keyName;
+        const scheduleId = req.params.scheduleId;
         
-        if (!deviceId || isNaN(keyCode)) {
-            throw new Error('Missing or invalid required parameters: deviceId, keyCode');
+        if (schedules.has(scheduleId)) {
+            disarmSchedule(scheduleId);
+            schedules.delete(scheduleId);
+            saveSchedules();
+            schedulerLog.info(`Schedule deleted: ${scheduleId}`);
+            res.json({
+                success: true,
+                message: `Schedule '${scheduleId}' deleted`
+            });
+        } else {
+            throw new ApiError('SCHEDULE_NOT_FOUND', `Schedule '${scheduleId}' not found`);
         }
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Set or modify a sleep timer (fields left out keep their current value)
+app.post('/sleep-timer/set', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        minutes: { type: 'number', min: 0 },
+        fadeMinutes: { type: 'number', min: 0 },
+        restoreVolume: { type: 'boolean' }
+    },
+    check: (req) => req.body.minutes === 0 ? 'minutes must be a positive number' : null
+}), (req, res) => {
+    try {
+        const deviceId = req.body.deviceId;
+        const existing = sleepTimers.get(deviceId);
         
-        const deviceState = devices.get(deviceId);
-        if (!deviceState || !deviceState.remote) {
-            throw new Error(`Device ${deviceId} not connected`);
+        requireKnownDevice(deviceId);
+        if (!existing && req.body.minutes === undefined) {
+            throw new ApiError('INVALID_REQUEST', 'Missing required parameter: minutes');
         }
         
-        console.log(`[${deviceId}] Sending key: ${keyName || 'unknown'} (${keyCode})`);
+        const minutes = req.body.minutes !== undefined ? req.body.minutes : null;
+        const fadeMinutes = req.body.fadeMinutes !== undefined ? req.body.fadeMinutes : (existing ? existing.fadeMinutes : 0);
         
-        await deviceState.remote.sendKey(keyCode, RemoteDirection.SHORT);
+        const timer = {
+            deviceId: deviceId,
+            sleepAt: minutes !== null ? Date.now() + minutes * 60000 : existing.sleepAt,
+            fadeMinutes: fadeMinutes,
+            restoreVolume: req.body.restoreVolume !== undefined ? Boolean(req.body.restoreVolume) : (existing ? existing.restoreVolume : true),
+            fadeFromVolume: existing ? existing.fadeFromVolume : null,
+            createdAt: existing ? existing.createdAt : Date.now()
+        };
         
-        // Track state changes
-        if (keyName === 'POWER' || keyName === 'WAKEUP') {
-            trackPowerState(deviceId, 'on');
-        } else if (keyName === 'SLEEP') {
-            trackPowerState(deviceId, 'off');
-        } else if (keyName === 'VOLUME_UP') {
-            trackVolume(deviceId, Math.min(100, deviceState.volume + 1));
-        } else if (keyName === 'VOLUME_DOWN') {
-            trackVolume(deviceId, Math.max(0, deviceState.volume - 1));
-        } else if (keyName === 'VOLUME_MUTE') {
-            trackVolume(deviceId, null, !deviceState.muted);
+        if (fadeMinutes * 60000 > timer.sleepAt - Date.now()) {
+            throw new ApiError('INVALID_REQUEST', 'fadeMinutes must not be longer than the time left on the timer');
         }
         
-        deviceState.lastActivity = Date.now();
+        sleepTimers.set(deviceId, timer);
+        armSleepTimer(timer);
+        saveSleepTimers();
         
-        console.log(`[${deviceId}] âœ" Key sent`);
+        schedulerLog.info(`Sleep timer ${existing ? 'modified' : 'set'}: ${new Date(timer.sleepAt).toISOString()}${fadeMinutes > 0 ? `, fade ${fadeMinutes}min` : ''}`, { deviceId });
         
         res.json({
             success: true,
-            message: `Sent key: ${keyName}`,
-            deviceId: deviceId
+            message: `Sleep timer ${existing ? 'modified' : 'set'}`,
+            timer: describeSleepTimer(timer)
         });
         
     } catch (error) {
-        console.error('Send key error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message || 'Failed to send key'
-        });
+        schedulerLog.error('Sleep timer error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
     }
 });
 
-// Launch app
-app.post('/app/launch', async (req, res) => {
+// List sleep timers
+app.get('/sleep-timers', (req, res) => {
+    const timerList = Array.from(sleepTimers.values()).map(describeSleepTimer);
+    res.json({
+        success: true,
+        timers: timerList,
+        count: timerList.length
+    });
+});
+
+// Cancel sleep timer
+app.delete('/sleep-timer/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), async (req, res) => {
     try {
-        const deviceId = req.body.deviceId;
-        const appUrl = req.body.appUrl;
-        
-        if (!deviceId || !appUrl) {
-            throw new Error('Missing required parameters');
-        }
+        const deviceId = req.params.deviceId;
+        const timer = sleepTimers.get(deviceId);
         
-        const deviceState = devices.get(deviceId);
-        if (!deviceState || !deviceState.remote) {
-            throw new Error(`Device ${deviceId} not connected`);
+        if (!timer) {
+            throw new ApiError('SLEEP_TIMER_NOT_FOUND', `No sleep timer for ${deviceId}`);
         }
         
-        console.log(`[${deviceId}] Launching app: ${appUrl}`);
+        const handle = sleepTimerHandles.get(deviceId);
+        const wasFading = Boolean(handle && handle.fading);
         
-        await deviceState.remote.sendAppLink(appUrl);
+        disarmSleepTimer(deviceId);
+        sleepTimers.delete(deviceId);
+        saveSleepTimers();
         
-        // Track current app
-        trackApp(deviceId, appUrl);
+        schedulerLog.info('Sleep timer cancelled', { deviceId });
         
-        console.log(`[${deviceId}] âœ" App launched`);
+        // Someone is still watching - undo the fade
+        if (wasFading && timer.restoreVolume && timer.fadeFromVolume !== null && devices.get(deviceId)?.remote) {
+            queueCommand(deviceId, `volume ${timer.fadeFromVolume}`, () => setVolumeLevel(deviceId, timer.fadeFromVolume), { source: 'sleep-timer' }).catch(error => {
+                schedulerLog.warn(`Volume restore failed: ${error.message}`, { deviceId });
+            });
+        }
         
         res.json({
             success: true,
-            message: 'App launched',
-            deviceId: deviceId
+            message: 'Sleep timer cancelled',
+            deviceId: deviceId,
+            volumeRestored: wasFading && timer.restoreVolume
         });
         
     } catch (error) {
-        console.error('Launch app error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendError(res, error);
+    }
+});
+
+loadMapStore('schedules', schedules);
+loadMapStore('sleepTimers', sleepTimers);
+
+// ====================
+// Usage History
+// ====================
+
+// Timeline per device: deviceId -> [{ app, powerState, start, end, duration, lastSeenAt }], oldest
+// first. A new segment starts whenever the app or power state changes while the TV is
+// connected; the last segment is open (end: null) while it lasts. Durations are in seconds.
+const usageHistory = new Map();
+
+const HISTORY_SUMMARY_PERIODS = ['day', 'week'];
+const HISTORY_CHECKPOINT_INTERVAL = 60000; // How often open segments record lastSeenAt
+
+function saveHistory() {
+    saveMapStoreSoon('history', usageHistory);
+}
+
+function closeSegment(segment, end, reason) {
+    segment.end = end;
+    segment.duration = Math.round((end - segment.start) / 1000);
+    if (reason) {
+        segment.endReason = reason;
+    }
+    delete segment.lastSeenAt;
+}
+
+// Drop segments older than the retention period
+function pruneHistory(timeline) {
+    const cutoff = Date.now() - HISTORY_RETENTION;
+    while (timeline.length > 0 && timeline[0].end !== null && timeline[0].end < cutoff) {
+        timeline.shift();
+    }
+}
+
+// Segments still open when the bridge stopped end at the last time they were seen
+loadMapStore('history', usageHistory);
+for (const timeline of usageHistory.values()) {
+    const last = timeline[timeline.length - 1];
+    if (last && last.end === null) {
+        closeSegment(last, last.lastSeenAt || last.start, 'bridge-stopped');
+    }
+}
+
+// Follow app, power and connection changes into the timeline
+eventListeners.push((event) => {
+    if (event.type !== 'state') {
+        return;
+    }
+    
+    const deviceId = event.deviceId;
+    const state = event.data.state;
+    const changes = event.data.changes;
+    if (!usageHistory.has(deviceId)) {
+        usageHistory.set(deviceId, []);
+    }
+    const timeline = usageHistory.get(deviceId);
+    const open = timeline.length > 0 && timeline[timeline.length - 1].end === null ? timeline[timeline.length - 1] : null;
+    
+    if (!changes.connected && !changes.powerState && !changes.currentApp) {
+        if (open) {
+            open.lastSeenAt = event.timestamp;
+        }
+        return;
+    }
+    
+    if (open) {
+        closeSegment(open, event.timestamp, state.connected ? null : 'disconnected');
+        // Changes within the same second (e.g. power and app together) leave no segment
+        if (open.duration === 0) {
+            timeline.pop();
+        }
+    }
+    
+    if (state.connected) {
+        timeline.push({
+            app: state.powerState === 'off' ? null : state.currentApp,
+            powerState: state.powerState,
+            start: event.timestamp,
+            end: null,
+            duration: null,
+            lastSeenAt: event.timestamp
         });
     }
+    
+    pruneHistory(timeline);
+    saveHistory();
 });
 
-// Send text
-app.post('/text', async (req, res) => {
+// Events only come with changes, so mark open segments as still seen now and then;
+// after a crash they end at the last checkpoint instead of where they started
+function startHistoryCheckpoints() {
+    setInterval(() => {
+        const now = Date.now();
+        let touched = false;
+        for (const [deviceId, timeline] of usageHistory.entries()) {
+            const last = timeline[timeline.length - 1];
+            const deviceState = devices.get(deviceId);
+            if (last && last.end === null && deviceState && deviceState.connected) {
+                last.lastSeenAt = now;
+                touched = true;
+            }
+        }
+        if (touched) {
+            saveHistory();
+        }
+    }, HISTORY_CHECKPOINT_INTERVAL);
+}
+
+// A history time: epoch ms, an ISO date, or a local date/time in the bridge's time zone
+function parseHistoryTime(value, name) {
+    if (/^\d+$/.test(value)) {
+        return parseInt(value);
+    }
     try {
-        const deviceId = req.body.deviceId;
-        const text = req.body.text;
-        
-        if (!deviceId || !text) {
-            throw new Error('Missing required parameters');
+        return parseScheduleTime(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} 00:00` : value, TIME_ZONE);
+    } catch (error) {
+        throw new ApiError('INVALID_REQUEST', `${name} must be epoch milliseconds, an ISO date or YYYY-MM-DD[ HH:mm]`);
+    }
+}
+
+// A segment as returned by the API; open segments get their duration so far
+function describeSegment(deviceId, segment, now) {
+    const end = segment.end === null ? now : segment.end;
+    return {
+        app: segment.app,
+        appName: segment.app ? appDisplayName(deviceId, segment.app) : null,
+        powerState: segment.powerState,
+        start: segment.start,
+        end: segment.end,
+        duration: Math.round((end - segment.start) / 1000),
+        endReason: segment.endReason
+    };
+}
+
+// Time the TV was in use: on (or showing a known app while power is unknown)
+function isActiveSegment(segment) {
+    return segment.powerState === 'on' || (segment.powerState !== 'off' && segment.app && segment.app !== 'unknown');
+}
+
+// Local midnight of the day containing `timestamp`, `offsetDays` days later
+function localDayStart(timestamp, offsetDays = 0) {
+    const parts = getZonedParts(timestamp, TIME_ZONE);
+    const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + offsetDays));
+    return parseScheduleTime(`${day.toISOString().slice(0, 10)} 00:00`, TIME_ZONE);
+}
+
+function localDate(timestamp) {
+    const parts = getZonedParts(timestamp, TIME_ZONE);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+// Minutes per app and in total between from and to
+function summarizeUsage(deviceId, timeline, from, to, now) {
+    const apps = new Map();
+    let activeMs = 0;
+    
+    for (const segment of timeline) {
+        const start = Math.max(segment.start, from);
+        const end = Math.min(segment.end === null ? now : segment.end, to);
+        if (end <= start || !isActiveSegment(segment)) {
+            continue;
         }
         
-        const deviceState = devices.get(deviceId);
-        if (!deviceState || !deviceState.remote) {
-            throw new Error(`Device ${deviceId} not connected`);
+        activeMs += end - start;
+        const app = segment.app || 'unknown';
+        if (!apps.has(app)) {
+            apps.set(app, { app: app, name: appDisplayName(deviceId, app), ms: 0, sessions: 0 });
         }
-        
-        console.log(`[${deviceId}] Sending text: ${text}`);
-        
-        // Send text character by character
-        for (const char of text) {
-            await deviceState.remote.sendText(char);
+        apps.get(app).ms += end - start;
+        apps.get(app).sessions++;
+    }
+    
+    return {
+        minutes: Math.round(activeMs / 60000),
+        used: activeMs > 0,
+        apps: Array.from(apps.values())
+            .sort((a, b) => b.ms - a.ms)
+            .map(({ ms, ...entry }) => ({ ...entry, minutes: Math.round(ms / 60000) }))
+    };
+}
+
+// App and power timeline of a TV, newest first
+app.get('/history/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID },
+    query: {
+        from: { type: 'string', maxLength: 64 },
+        to: { type: 'string', maxLength: 64 },
+        app: { type: 'string', maxLength: 256 },
+        limit: { type: 'integer', min: 1, max: 5000, default: 200 }
+    }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        if (!usageHistory.has(deviceId)) {
+            requireKnownDevice(deviceId);
         }
         
-        deviceState.lastActivity = Date.now();
+        const now = Date.now();
+        const from = req.query.from ? parseHistoryTime(req.query.from, 'from') : 0;
+        const to = req.query.to ? parseHistoryTime(req.query.to, 'to') : now;
+        const wanted = req.query.app ? req.query.app.toLowerCase() : null;
         
-        console.log(`[${deviceId}] âœ" Text sent`);
+        const segments = (usageHistory.get(deviceId) || [])
+            .filter(segment => segment.start < to && (segment.end === null || segment.end > from))
+            .map(segment => describeSegment(deviceId, segment, now))
+            .filter(segment => !wanted || (segment.app && (segment.app.toLowerCase() === wanted || segment.appName.toLowerCase() === wanted)))
+            .reverse();
         
         res.json({
             success: true,
-            message: 'Text sent',
-            deviceId: deviceId
+            deviceId: deviceId,
+            from: from,
+            to: to,
+            sessions: segments.slice(0, req.query.limit),
+            count: segments.length
         });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Minutes per app for the day or week (Monday-Sunday) containing `date`, in the bridge's time zone
+app.get('/history/:deviceId/summary', validateRequest({
+    params: { deviceId: DEVICE_ID },
+    query: {
+        period: { type: 'string', enum: HISTORY_SUMMARY_PERIODS, default: 'day' },
+        date: { type: 'string', maxLength: 64 }
+    }
+}), (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        if (!usageHistory.has(deviceId)) {
+            requireKnownDevice(deviceId);
+        }
+        
+        const now = Date.now();
+        const date = req.query.date ? parseHistoryTime(req.query.date, 'date') : now;
+        const timeline = usageHistory.get(deviceId) || [];
+        
+        let from = localDayStart(date);
+        let to = localDayStart(date, 1);
+        const response = { success: true, deviceId: deviceId, period: req.query.period, date: localDate(date), timeZone: TIME_ZONE };
         
+        if (req.query.period === 'week') {
+            const weekday = getZonedParts(date, TIME_ZONE).weekday;
+            from = localDayStart(date, -((weekday + 6) % 7));
+            to = localDayStart(from, 7);
+            
+            response.days = [];
+            for (let start = from; start < to; start = localDayStart(start, 1)) {
+                const day = summarizeUsage(deviceId, timeline, start, localDayStart(start, 1), now);
+                response.days.push({ date: localDate(start), minutes: day.minutes, used: day.used });
+            }
+        }
+        
+        Object.assign(response, { from: from, to: to }, summarizeUsage(deviceId, timeline, from, to, now));
+        res.json(response);
     } catch (error) {
-        console.error('Send text error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
 // ====================
-// Scenes/Presets
+// Parental Controls
 // ====================
 
-// Save scene
-app.post('/scene/save', async (req, res) => {
+// Rules per device: deviceId -> { deviceId, enabled, action, blocked, windows, quotas,
+// overrideUntil, violations, updatedAt }. Apps in rules are packages or catalog names.
+//   blocked: ['YouTube', 'com.example.game']              always blocked
+//   windows: [{ apps, from: '21:00', to: '07:00', days }]  blocked during these local times
+//                                                          (apps omitted = every app)
+//   quotas:  [{ app, minutes }]                            daily budget (app omitted = overall)
+// A violation sends HOME or SLEEP (`action`) and is recorded in `violations`.
+const parentalRules = new Map();
+
+const PARENTAL_ACTIONS = ['home', 'sleep'];
+const PARENTAL_MAX_VIOLATIONS = 100;
+const PARENTAL_CHECK_INTERVAL = 60 * 1000;
+
+// The home screen is where enforcement sends the TV, so it is never blocked
+const PARENTAL_EXEMPT_APPS = ['com.google.android.tvlauncher', 'com.google.android.apps.tv.launcherx'];
+
+// Don't send HOME again while the last enforcement is still taking effect
+const PARENTAL_ENFORCE_GRACE = 10 * 1000;
+const parentalEnforcedAt = new Map();
+
+function saveParentalRules() {
+    saveMapStore('parental', parentalRules);
+}
+
+loadMapStore('parental', parentalRules);
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Check the blocked/windows/quotas fields of a rules request
+function checkParentalFields(body) {
+    const appList = (apps, at) => {
+        if (!Array.isArray(apps) || apps.some(app => typeof app !== 'string' || app === '')) {
+            return `${at} must be a list of app names or packages`;
+        }
+        return null;
+    };
+    
+    if (body.blocked !== undefined) {
+        const problem = appList(body.blocked, 'blocked');
+        if (problem) {
+            return problem;
+        }
+    }
+    if (body.windows !== undefined) {
+        if (!Array.isArray(body.windows)) {
+            return 'windows must be a list';
+        }
+        for (const [i, window] of body.windows.entries()) {
+            if (!window || !TIME_OF_DAY_PATTERN.test(window.from) || !TIME_OF_DAY_PATTERN.test(window.to)) {
+                return `windows[${i}] needs from and to as HH:mm`;
+            }
+            if (window.apps !== undefined) {
+                const problem = appList(window.apps, `windows[${i}].apps`);
+                if (problem) {
+                    return problem;
+                }
+            }
+            if (window.days !== undefined && (!Array.isArray(window.days) || window.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+                return `windows[${i}].days must be a list of weekdays 0-6 (Sunday = 0)`;
+            }
+        }
+    }
+    if (body.quotas !== undefined) {
+        if (!Array.isArray(body.quotas)) {
+            return 'quotas must be a list';
+        }
+        for (const [i, quota] of body.quotas.entries()) {
+            if (!quota || !Number.isInteger(quota.minutes) || quota.minutes < 0 || quota.minutes > 1440) {
+                return `quotas[${i}].minutes must be a whole number of minutes (0-1440)`;
+            }
+            if (quota.app !== undefined && (typeof quota.app !== 'string' || quota.app === '')) {
+                return `quotas[${i}].app must be an app name or package`;
+            }
+        }
+    }
+    return null;
+}
+
+// Does a rule's app entry (package or friendly name) mean this package?
+function ruleMatchesApp(deviceId, ruleApp, app) {
+    const wanted = ruleApp.toLowerCase();
+    return app.toLowerCase() === wanted || appDisplayName(deviceId, app).toLowerCase() === wanted;
+}
+
+function minutesOfDay(time) {
+    const [hour, minute] = time.split(':').map(part => parseInt(part));
+    return hour * 60 + minute;
+}
+
+// Is the local time inside the window? Windows may wrap past midnight (21:00-07:00);
+// `days` then refers to the day the window started.
+function inParentalWindow(window, now) {
+    const parts = getZonedParts(now, TIME_ZONE);
+    const current = parts.hour * 60 + parts.minute;
+    const from = minutesOfDay(window.from);
+    const to = minutesOfDay(window.to);
+    const days = window.days || [0, 1, 2, 3, 4, 5, 6];
+    
+    if (from <= to) {
+        return current >= from && current < to && days.includes(parts.weekday);
+    }
+    if (current >= from) {
+        return days.includes(parts.weekday);
+    }
+    return current < to && days.includes((parts.weekday + 6) % 7);
+}
+
+// Today's usage (see Usage History) for quota checks
+function usageToday(deviceId, now) {
+    return summarizeUsage(deviceId, usageHistory.get(deviceId) || [], localDayStart(now), localDayStart(now, 1), now);
+}
+
+// The first rule the app breaks right now, or null
+function findParentalViolation(deviceId, app, now) {
+    const rules = parentalRules.get(deviceId);
+    if (!rules || !rules.enabled || !app || app === 'unknown' || PARENTAL_EXEMPT_APPS.includes(app)) {
+        return null;
+    }
+    if (rules.overrideUntil && rules.overrideUntil > now) {
+        return null;
+    }
+    
+    const blocked = rules.blocked.find(ruleApp => ruleMatchesApp(deviceId, ruleApp, app));
+    if (blocked) {
+        return { rule: 'blocked', message: `${blocked} is blocked` };
+    }
+    
+    const window = rules.windows.find(window => (!window.apps || window.apps.some(ruleApp => ruleMatchesApp(deviceId, ruleApp, app)))
+        && inParentalWindow(window, now));
+    if (window) {
+        return { rule: 'window', message: `${window.apps ? window.apps.join(', ') : 'TV'} not allowed ${window.from}-${window.to}` };
+    }
+    
+    if (rules.quotas.length > 0) {
+        const usage = usageToday(deviceId, now);
+        for (const quota of rules.quotas) {
+            const used = quota.app
+                ? usage.apps.filter(entry => ruleMatchesApp(deviceId, quota.app, entry.app)).reduce((sum, entry) => sum + entry.minutes, 0)
+                : usage.minutes;
+            if ((!quota.app || ruleMatchesApp(deviceId, quota.app, app)) && used >= quota.minutes) {
+                return { rule: 'quota', message: `${quota.app || 'Daily'} screen time of ${quota.minutes} min used up` };
+            }
+        }
+    }
+    
+    return null;
+}
+
+// Send HOME or SLEEP and record the violation
+async function enforceParentalRules(deviceId, app, violation) {
+    const rules = parentalRules.get(deviceId);
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.remote || Date.now() - (parentalEnforcedAt.get(deviceId) || 0) < PARENTAL_ENFORCE_GRACE) {
+        return;
+    }
+    parentalEnforcedAt.set(deviceId, Date.now());
+    
+    const record = {
+        at: Date.now(),
+        app: app,
+        appName: appDisplayName(deviceId, app),
+        rule: violation.rule,
+        message: violation.message,
+        action: rules.action,
+        enforced: false
+    };
+    
     try {
-        const sceneName = req.body.sceneName;
-        const scene = req.body.scene;
-        
-        if (!sceneName || !scene) {
-            throw new Error('Missing required parameters: sceneName, scene');
+        await queueCommand(deviceId, `parental ${rules.action}`, async () => {
+            if (rules.action === 'sleep') {
+                await deviceState.remote.sendKey(223, RemoteDirection.SHORT);
+                trackPowerState(deviceId, 'off');
+            } else {
+                await deviceState.remote.sendKey(3, RemoteDirection.SHORT);
+            }
+        }, { source: 'parental', priority: 'high' });
+        record.enforced = true;
+        parentalLog.warn(`Blocked ${record.appName}: ${violation.message} - sent ${rules.action.toUpperCase()}`, { deviceId });
+    } catch (error) {
+        record.error = error.message;
+        parentalLog.error(`Could not enforce rule against ${record.appName}`, { deviceId, error });
+    }
+    
+    rules.violations.push(record);
+    if (rules.violations.length > PARENTAL_MAX_VIOLATIONS) {
+        rules.violations.shift();
+    }
+    saveParentalRules();
+    publishEvent(deviceId, 'parental', record);
+}
+
+function checkParentalRules(deviceId, now) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.connected || deviceState.powerState === 'off') {
+        return;
+    }
+    
+    const app = deviceState.currentApp;
+    const violation = findParentalViolation(deviceId, app, now);
+    if (violation) {
+        enforceParentalRules(deviceId, app, violation);
+    }
+}
+
+// Check as soon as the TV reports a new app or is switched on
+eventListeners.push((event) => {
+    if (event.type !== 'state' || !parentalRules.has(event.deviceId)) {
+        return;
+    }
+    const changes = event.data.changes;
+    if (changes.currentApp || (changes.powerState && changes.powerState.to === 'on')) {
+        checkParentalRules(event.deviceId, event.timestamp);
+    }
+});
+
+// Time windows and quotas can start while an app is already open
+function startParentalChecks() {
+    setInterval(() => {
+        const now = Date.now();
+        for (const deviceId of parentalRules.keys()) {
+            checkParentalRules(deviceId, now);
         }
-        
-        scenes.set(sceneName, {
-            name: sceneName,
-            ...scene,
-            createdAt: Date.now()
-        });
-        
-        console.log(`Scene saved: ${sceneName}`);
-        
+    }, PARENTAL_CHECK_INTERVAL);
+}
+
+function describeParentalRules(rules) {
+    const now = Date.now();
+    const { violations, ...settings } = rules;
+    const usage = usageToday(rules.deviceId, now);
+    
+    return {
+        ...settings,
+        overrideActive: Boolean(rules.overrideUntil && rules.overrideUntil > now),
+        usageToday: {
+            minutes: usage.minutes,
+            quotas: rules.quotas.map(quota => ({
+                app: quota.app || null,
+                minutes: quota.minutes,
+                used: quota.app
+                    ? usage.apps.filter(entry => ruleMatchesApp(rules.deviceId, quota.app, entry.app)).reduce((sum, entry) => sum + entry.minutes, 0)
+                    : usage.minutes
+            }))
+        },
+        currentViolation: devices.has(rules.deviceId)
+            ? findParentalViolation(rules.deviceId, devices.get(rules.deviceId).currentApp, now)
+            : null
+    };
+}
+
+function requireParentalRules(deviceId) {
+    const rules = parentalRules.get(deviceId);
+    if (!rules) {
+        throw new ApiError('PARENTAL_RULES_NOT_FOUND', `No parental rules for ${deviceId}`);
+    }
+    return rules;
+}
+
+// Rules, today's usage against the quotas and recent violations of one TV
+app.get('/parental/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID },
+    query: { limit: { type: 'integer', min: 0, max: PARENTAL_MAX_VIOLATIONS, default: 20 } }
+}), (req, res) => {
+    try {
+        const rules = requireParentalRules(req.params.deviceId);
         res.json({
             success: true,
-            message: `Scene '${sceneName}' saved`,
-            sceneName: sceneName
+            deviceId: rules.deviceId,
+            rules: describeParentalRules(rules),
+            violations: req.query.limit > 0 ? rules.violations.slice(-req.query.limit).reverse() : []
         });
-        
     } catch (error) {
-        console.error('Save scene error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Execute scene
-app.post('/scene/execute', async (req, res) => {
+// Create or change a TV's rules; fields left out are kept
+app.post('/parental/set', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        enabled: { type: 'boolean' },
+        action: { type: 'string', enum: PARENTAL_ACTIONS },
+        blocked: { type: 'array' },
+        windows: { type: 'array' },
+        quotas: { type: 'array' }
+    },
+    check: (req) => checkParentalFields(req.body)
+}), (req, res) => {
     try {
-        const sceneName = req.body.sceneName;
         const deviceId = req.body.deviceId;
+        requireKnownDevice(deviceId);
         
-        if (!sceneName || !deviceId) {
-            throw new Error('Missing required parameters: sceneName, deviceId');
-        }
-        
-        const scene = scenes.get(sceneName);
-        if (!scene) {
-            throw new Error(`Scene '${sceneName}' not found`);
-        }
-        
-        const deviceState = devices.get(deviceId);
-        if (!deviceState || !deviceState.remote) {
-            throw new Error(`Device ${deviceId} not connected`);
-        }
-        
-        console.log(`[${deviceId}] Executing scene: ${sceneName}`);
-        
-        // Execute scene actions
-        if (scene.app) {
-            await deviceState.remote.sendAppLink(scene.app);
-            trackApp(deviceId, scene.app);
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
+        const existing = parentalRules.get(deviceId);
+        const rules = existing || {
+            deviceId: deviceId,
+            enabled: true,
+            action: 'home',
+            blocked: [],
+            windows: [],
+            quotas: [],
+            overrideUntil: null,
+            violations: [],
+            createdAt: Date.now()
+        };
         
-        if (scene.volume !== undefined) {
-            // Set volume by calculating steps
-            const currentVolume = deviceState.volume || 50;
-            const steps = scene.volume - currentVolume;
-            const keyCode = steps > 0 ? 24 : 25; // VOLUME_UP or VOLUME_DOWN
-            
-            for (let i = 0; i < Math.abs(steps); i++) {
-                await deviceState.remote.sendKey(keyCode, RemoteDirection.SHORT);
-                await new Promise(resolve => setTimeout(resolve, 100));
+        for (const field of ['enabled', 'action', 'blocked', 'windows', 'quotas']) {
+            if (req.body[field] !== undefined) {
+                rules[field] = req.body[field];
             }
-            
-            trackVolume(deviceId, scene.volume);
-        }
-        
-        if (scene.muted !== undefined && scene.muted !== deviceState.muted) {
-            await deviceState.remote.sendKey(164, RemoteDirection.SHORT); // VOLUME_MUTE
-            trackVolume(deviceId, null, scene.muted);
         }
+        rules.updatedAt = Date.now();
         
-        if (scene.keys && Array.isArray(scene.keys)) {
-            for (const keyCode of scene.keys) {
-                await deviceState.remote.sendKey(parseInt(keyCode), RemoteDirection.SHORT);
-                await new Promise(resolve => setTimeout(resolve, 200));
-            }
-        }
+        parentalRules.set(deviceId, rules);
+        saveParentalRules();
+        parentalLog.info(`Rules ${existing ? 'updated' : 'created'}: ${rules.blocked.length} blocked, ${rules.windows.length} window(s), ${rules.quotas.length} quota(s)`, { deviceId });
         
-        console.log(`[${deviceId}] âœ" Scene executed: ${sceneName}`);
+        // Apply right away to whatever is on screen
+        checkParentalRules(deviceId, Date.now());
         
         res.json({
             success: true,
-            message: `Scene '${sceneName}' executed`,
+            message: `Parental rules for ${deviceId} saved`,
             deviceId: deviceId,
-            sceneName: sceneName
+            rules: describeParentalRules(rules)
         });
-        
     } catch (error) {
-        console.error('Execute scene error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// List scenes
-app.get('/scenes', (req, res) => {
-    const sceneList = Array.from(scenes.values());
-    res.json({
-        success: true,
-        scenes: sceneList,
-        count: sceneList.length
-    });
+// Remove a TV's rules (and its violation log)
+app.delete('/parental/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        requireParentalRules(req.params.deviceId);
+        parentalRules.delete(req.params.deviceId);
+        saveParentalRules();
+        parentalLog.info('Rules removed', { deviceId: req.params.deviceId });
+        res.json({ success: true, message: `Parental rules for ${req.params.deviceId} removed` });
+    } catch (error) {
+        sendError(res, error);
+    }
 });
 
-// Delete scene
-app.delete('/scene/:sceneName', (req, res) => {
+// Suspend a TV's rules for a while (e.g. a parent allows one more episode)
+app.post('/parental/override', validateRequest({
+    body: {
+        deviceId: DEVICE_ID,
+        minutes: { type: 'integer', min: 1, max: 720, default: 30 }
+    }
+}), (req, res) => {
     try {
-        const sceneName = req.params.sceneName;
+        const rules = requireParentalRules(req.body.deviceId);
+        rules.overrideUntil = Date.now() + req.body.minutes * 60 * 1000;
+        saveParentalRules();
+        parentalLog.info(`Override for ${req.body.minutes} min`, { deviceId: rules.deviceId });
+        publishEvent(rules.deviceId, 'parental', { override: true, overrideUntil: rules.overrideUntil });
         
-        if (scenes.has(sceneName)) {
-            scenes.delete(sceneName);
-            console.log(`Scene deleted: ${sceneName}`);
-            res.json({
-                success: true,
-                message: `Scene '${sceneName}' deleted`
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                error: `Scene '${sceneName}' not found`
-            });
-        }
+        res.json({
+            success: true,
+            message: `Parental rules suspended for ${req.body.minutes} minutes`,
+            deviceId: rules.deviceId,
+            overrideUntil: rules.overrideUntil
+        });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
+        sendError(res, error);
+    }
+});
+
+// End an override early - the rules apply again immediately
+app.delete('/parental/override/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID }
+}), (req, res) => {
+    try {
+        const rules = requireParentalRules(req.params.deviceId);
+        rules.overrideUntil = null;
+        saveParentalRules();
+        parentalLog.info('Override ended', { deviceId: rules.deviceId });
+        publishEvent(rules.deviceId, 'parental', { override: false });
+        checkParentalRules(rules.deviceId, Date.now());
+        
+        res.json({
+            success: true,
+            message: 'Parental rules apply again',
+            deviceId: rules.deviceId
         });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
 // ====================
-// Multi-Room Sync
+// Presence
 // ====================
 
-// Create sync group
-app.post('/sync/create', (req, res) => {
-    try {
-        const groupName = req.body.groupName;
-        const deviceIds = req.body.deviceIds;
+// A background prober tells a TV that is on from one in standby and one that is gone.
+// Every PRESENCE_INTERVAL each TV's remote port gets a TCP connect; when that neither
+// connects nor is refused, an ICMP ping (if allowed) shows whether the host is up at all.
+// Together with the remote's ready and powered signals:
+//   online  - remote service answers and the TV is not reported off
+//   standby - the TV reports itself off, or the host answers with the remote service down
+//   offline - nothing answered PRESENCE_MISSES probes in a row
+const PRESENCE_STATES = ['online', 'standby', 'offline', 'unknown'];
+const REMOTE_PORT = 6466;
+const PRESENCE_PROBE_TIMEOUT = 2000;
+const PRESENCE_MISSES = 2;
+
+// Turned off for good the first time the ping binary is missing or not permitted
+let presenceIcmpAvailable = PRESENCE_ICMP;
+
+function initialPresence() {
+    return {
+        state: 'unknown',
+        since: Date.now(),
+        lastChecked: null,
+        lastSeen: null,
+        tcp: null,
+        icmp: null,
+        latencyMs: null,
+        misses: 0
+    };
+}
+
+// 'open', 'refused' or 'timeout'/'unreachable', with how long it took
+function probeTcp(host) {
+    const startedAt = Date.now();
+    
+    return new Promise((resolve) => {
+        const socket = net.connect({ host: host, port: REMOTE_PORT });
+        const finish = (result) => {
+            socket.destroy();
+            resolve({ result: result, latencyMs: Date.now() - startedAt });
+        };
         
-        if (!groupName || !Array.isArray(deviceIds) || deviceIds.length < 2) {
-            throw new Error('groupName and at least 2 deviceIds required');
+        socket.setTimeout(PRESENCE_PROBE_TIMEOUT, () => finish('timeout'));
+        socket.once('connect', () => finish('open'));
+        socket.once('error', (error) => finish(error.code === 'ECONNREFUSED' ? 'refused' : 'unreachable'));
+    });
+}
+
+// true/false for a reply, null when ICMP can't be used here
+function probeIcmp(host) {
+    if (!presenceIcmpAvailable) {
+        return Promise.resolve(null);
+    }
+    
+    return new Promise((resolve) => {
+        execFile('ping', ['-c', '1', '-W', String(Math.ceil(PRESENCE_PROBE_TIMEOUT / 1000)), host],
+            { timeout: PRESENCE_PROBE_TIMEOUT + 1000 }, (error) => {
+                if (error && (error.code === 'ENOENT' || error.code === 'EACCES' || /not permitted/i.test(error.message))) {
+                    presenceIcmpAvailable = false;
+                    stateLog.warn('ICMP probing unavailable, using TCP only', { error });
+                    resolve(null);
+                    return;
+                }
+                resolve(!error);
+            });
+    });
+}
+
+// Combine the latest probe with what the remote itself reports
+function evaluatePresence(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState) {
+        return;
+    }
+    
+    const presence = deviceState.presence;
+    let state = presence.state;
+    if (deviceState.connected || presence.tcp === 'open') {
+        state = deviceState.powerState === 'off' || (!deviceState.connected && deviceState.powerState !== 'on')
+            ? 'standby'
+            : 'online';
+    } else if (presence.tcp === 'refused' || presence.icmp === true) {
+        state = 'standby';
+    } else if (presence.misses >= PRESENCE_MISSES) {
+        state = 'offline';
+    }
+    
+    if (state === presence.state) {
+        return;
+    }
+    
+    stateLog.info(`Presence: ${presence.state} -> ${state}`, { deviceId });
+    presence.state = state;
+    presence.since = Date.now();
+    
+    // Nobody is watching TV on a set that stopped answering - don't leave a stale 'on'.
+    // A standby TV still answers, so its power state is left to the remote.
+    if (state === 'offline' && !deviceState.connected && deviceState.powerState !== 'off') {
+        deviceState.powerState = 'off';
+    }
+    updateDeviceState(deviceId);
+}
+
+async function probePresence(deviceId) {
+    const deviceState = devices.get(deviceId);
+    if (!deviceState || !deviceState.host) {
+        return;
+    }
+    
+    const presence = deviceState.presence;
+    const tcp = await probeTcp(deviceState.host);
+    const icmp = tcp.result === 'open' || tcp.result === 'refused' ? null : await probeIcmp(deviceState.host);
+    
+    presence.lastChecked = Date.now();
+    presence.tcp = tcp.result;
+    presence.icmp = icmp;
+    presence.latencyMs = tcp.result === 'open' || tcp.result === 'refused' ? tcp.latencyMs : null;
+    if (tcp.result === 'open' || tcp.result === 'refused' || icmp === true || deviceState.connected) {
+        presence.lastSeen = presence.lastChecked;
+        presence.misses = 0;
+    } else {
+        presence.misses++;
+    }
+    
+    stateLog.debug(`Probe: tcp ${tcp.result}${icmp === null ? '' : `, icmp ${icmp ? 'reply' : 'none'}`}`, { deviceId });
+    
+    // The device may have been removed while the probe ran
+    if (devices.get(deviceId) === deviceState) {
+        evaluatePresence(deviceId);
+    }
+}
+
+// Connection and power changes count as soon as they happen, not at the next probe
+eventListeners.push((event) => {
+    if (event.type !== 'state') {
+        return;
+    }
+    const changes = event.data.changes;
+    if (changes.connected || changes.powerState) {
+        // After this event has reached every listener and stream, so events stay in order
+        setImmediate(() => evaluatePresence(event.deviceId));
+    }
+});
+
+// Probe one TV at a time so a house full of sleeping TVs doesn't open many sockets at once
+function startPresenceProbing() {
+    if (PRESENCE_INTERVAL <= 0) {
+        return;
+    }
+    
+    let running = false;
+    const probeAll = async () => {
+        if (running) {
+            return;
         }
-        
-        // Verify all devices exist and are connected
-        for (const deviceId of deviceIds) {
-            const deviceState = devices.get(deviceId);
-            if (!deviceState || !deviceState.connected) {
-                throw new Error(`Device ${deviceId} not found or not connected`);
+        running = true;
+        try {
+            for (const deviceId of Array.from(devices.keys())) {
+                await probePresence(deviceId);
             }
+        } catch (error) {
+            stateLog.error('Presence probe failed', { error });
+        } finally {
+            running = false;
         }
+    };
+    
+    probeAll();
+    setInterval(probeAll, PRESENCE_INTERVAL);
+}
+
+function describePresence(deviceState) {
+    const { misses, ...presence } = deviceState.presence;
+    return presence;
+}
+
+// Presence with timestamps; ?probe=true checks the TV now instead of returning the last result
+app.get('/presence/:deviceId', validateRequest({
+    params: { deviceId: DEVICE_ID },
+    query: { probe: { type: 'boolean', default: false } }
+}), async (req, res) => {
+    try {
+        const deviceId = req.params.deviceId;
+        const deviceState = requireKnownDevice(deviceId);
         
-        syncGroups.set(groupName, {
-            name: groupName,
-            devices: deviceIds,
-            master: deviceIds[0],
-            createdAt: Date.now()
-        });
-        
-        console.log(`Sync group created: ${groupName} with ${deviceIds.length} devices`);
+        if (deviceState && req.query.probe) {
+            await probePresence(deviceId);
+        }
         
         res.json({
             success: true,
-            message: `Sync group '${groupName}' created`,
-            groupName: groupName,
-            devices: deviceIds
+            deviceId: deviceId,
+            presence: deviceState ? describePresence(deviceState) : null
         });
-        
     } catch (error) {
-        console.error('Create sync group error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
-// Send command to sync group
-app.post('/sync/command', async (req, res) => {
-    try {
-        const groupName = req.body.groupName;
-        const command = req.body.command;
+// ====================
+// Discovery
+// ====================
+
+const DISCOVERY_SERVICE_TYPE = 'androidtvremote2';
+
+// Browse mDNS for Android TV remote services for `timeout` ms
+function browseAndroidTvs(timeout) {
+    return new Promise((resolve) => {
+        const bonjour = new Bonjour();
+        const found = new Map();
+        
+        const browser = bonjour.find({ type: DISCOVERY_SERVICE_TYPE }, (service) => {
+            const addresses = service.addresses || [];
+            const host = addresses.find(address => address.includes('.'))
+                || (service.referer && service.referer.address)
+                || addresses[0];
+            found.set(service.fqdn || service.name, {
+                name: service.name,
+                host: host,
+                hostname: service.host,
+                port: service.port,
+                addresses: addresses,
+                txt: service.txt || {}
+            });
+        });
         
-        if (!groupName || !command) {
-            throw new Error('Missing required parameters: groupName, command');
+        setTimeout(() => {
+            browser.stop();
+            bonjour.destroy();
+            resolve(Array.from(found.values()));
+        }, timeout);
+    });
+}
+
+// Match discovered TVs against stored credentials. Records the mDNS identity of
+// known TVs, and follows a known TV to its new address when DHCP moved it.
+function reconcileDiscoveredDevices(results) {
+    let changed = false;
+    
+    for (const result of results) {
+        const btAddress = result.txt.bt || null;
+        const entries = Array.from(credentials.entries());
+        // Identity first - when DHCP swaps two TVs, the old host belongs to the other TV.
+        // The host only counts for entries with no identity recorded yet.
+        const match = (btAddress && entries.find(([, entry]) => entry.btAddress === btAddress))
+            || entries.find(([, entry]) => entry.mdnsName && entry.mdnsName === result.name)
+            || entries.find(([, entry]) => entry.host === result.host && !entry.btAddress && !entry.mdnsName);
+        
+        if (match) {
+            const [deviceId, entry] = match;
+            if (entry.mdnsName !== result.name || (btAddress && entry.btAddress !== btAddress)) {
+                entry.mdnsName = result.name;
+                entry.btAddress = btAddress || entry.btAddress;
+                changed = true;
+            }
+            if (entry.host !== result.host) {
+                discoveryLog.info(`Address changed ${entry.host} -> ${result.host} (found via mDNS)`, { deviceId });
+                entry.host = result.host;
+                entry.updatedAt = Date.now();
+                changed = true;
+                moveDeviceHost(deviceId, result.host);
+            }
         }
         
-        const group = syncGroups.get(groupName);
-        if (!group) {
-            throw new Error(`Sync group '${groupName}' not found`);
+        result.paired = Boolean(match);
+        result.deviceId = match ? match[0] : null;
+        result.connected = Boolean(match && devices.get(match[0]) && devices.get(match[0]).connected);
+    }
+    
+    if (changed) {
+        saveCredentials();
+    }
+    
+    return results;
+}
+
+// Reconnect a device at its new address instead of waiting out the backoff on the stale IP.
+// The credential entry already has the new host.
+async function moveDeviceHost(deviceId, host) {
+    const deviceState = devices.get(deviceId);
+    
+    try {
+        if (!deviceState) {
+            await connectDevice(deviceId);
+        } else if (deviceState.connected) {
+            deviceState.host = host;
+            return;
+        } else {
+            deviceState.reconnectAttempts = 0;
+            await attemptConnection(deviceId);
         }
         
-        console.log(`[${groupName}] Sending sync command to ${group.devices.length} devices`);
+        if (devices.get(deviceId).connected) {
+            discoveryLog.info(`Reconnected at new address ${host}`, { deviceId });
+        }
+    } catch (error) {
+        discoveryLog.error('Reconnect at new address failed', { deviceId, error });
+    }
+}
+
+// Periodically look for known TVs that changed address
+function startBackgroundDiscovery() {
+    if (DISCOVERY_INTERVAL <= 0) {
+        return;
+    }
+    
+    setInterval(async () => {
+        if (credentials.size === 0) {
+            return;
+        }
+        try {
+            reconcileDiscoveredDevices(await browseAndroidTvs(DISCOVERY_TIMEOUT));
+        } catch (error) {
+            discoveryLog.error('Background discovery error', { error });
+        }
+    }, DISCOVERY_INTERVAL);
+}
+
+// Discover Android TVs on the network
+app.get('/discover', validateRequest({
+    query: { timeout: { type: 'number', min: 0.1, max: 30 } }
+}), async (req, res) => {
+    try {
+        const timeout = req.query.timeout !== undefined ? req.query.timeout * 1000 : DISCOVERY_TIMEOUT;
         
-        const results = [];
+        discoveryLog.info(`Browsing for _${DISCOVERY_SERVICE_TYPE}._tcp services (${timeout / 1000}s)...`);
         
-        // Send command to all devices in parallel
-        const promises = group.devices.map(async (deviceId) => {
-            const deviceState = devices.get(deviceId);
-            if (!deviceState || !deviceState.remote) {
-                console.warn(`[${deviceId}] Not connected, skipping`);
-                return { deviceId, success: false, error: 'Not connected' };
-            }
-            
-            try {
-                if (command.type === 'key') {
-                    await deviceState.remote.sendKey(parseInt(command.keyCode), RemoteDirection.SHORT);
-                } else if (command.type === 'app') {
-                    await deviceState.remote.sendAppLink(command.appUrl);
-                    trackApp(deviceId, command.appUrl);
-                } else if (command.type === 'volume') {
-                    const steps = command.volume - (deviceState.volume || 50);
-                    const keyCode = steps > 0 ? 24 : 25;
-                    for (let i = 0; i < Math.abs(steps); i++) {
-                        await deviceState.remote.sendKey(keyCode, RemoteDirection.SHORT);
-                        await new Promise(resolve => setTimeout(resolve, 50));
-                    }
-                    trackVolume(deviceId, command.volume);
-                }
-                
-                console.log(`[${deviceId}] âœ" Sync command executed`);
-                return { deviceId, success: true };
-                
-            } catch (error) {
-                console.error(`[${deviceId}] Sync command error:`, error);
-                return { deviceId, success: false, error: error.message };
-            }
-        });
+        const results = reconcileDiscoveredDevices(await browseAndroidTvs(timeout));
         
-        const commandResults = await Promise.all(promises);
+        discoveryLog.info(`Discovery found ${results.length} device(s)`);
         
         res.json({
             success: true,
-            message: `Command sent to sync group '${groupName}'`,
-            groupName: groupName,
-            results: commandResults
-        });
-        
-    } catch (error) {
-        console.error('Sync command error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
+            devices: results,
+            count: results.length
         });
-    }
-});
-
-// List sync groups
-app.get('/sync/groups', (req, res) => {
-    const groupList = Array.from(syncGroups.values());
-    res.json({
-        success: true,
-        groups: groupList,
-        count: groupList.length
-    });
-});
-
-// Delete sync group
-app.delete('/sync/:groupName', (req, res) => {
-    try {
-        const groupName = req.params.groupName;
         
-        if (syncGroups.has(groupName)) {
-            syncGroups.delete(groupName);
-            console.log(`Sync group deleted: ${groupName}`);
-            res.json({
-                success: true,
-                message: `Sync group '${groupName}' deleted`
-            });
-        } else {
-            res.status(404).json({
-                success: false,
-                error: `Sync group '${groupName}' not found`
-            });
-        }
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        discoveryLog.error('Discovery error', { error });
+        sendError(res, error);
     }
 });
 
@@ -1162,29 +7115,29 @@ app.delete('/sync/:groupName', (req, res) => {
 // ====================
 
 // Unpair device
-app.post('/unpair', async (req, res) => {
-    console.log('\n=== UNPAIR REQUEST ===');
-    
+app.post('/unpair', validateRequest({
+    body: { deviceId: DEVICE_ID }
+}), async (req, res) => {
     try {
         const deviceId = req.body.deviceId;
         
-        if (!deviceId) {
-            throw new Error('Missing required parameter: deviceId');
+        const session = pairingSessions.get(deviceId);
+        if (!isPairingActive(session)) {
+            requireKnownDevice(deviceId);
         }
         
-        console.log(`Device ID: ${deviceId}`);
-        
-        // Stop state polling
-        stopStatePolling(deviceId);
+        // Stop polling, reconnect attempts and the remote, and remove from active devices
+        stopDevice(deviceId);
         
-        // Remove from active devices
-        devices.delete(deviceId);
+        // Also cancel any pairing in progress
+        if (isPairingActive(session)) {
+            endPairingSession(session, 'cancelled', 'Device unpaired');
+        }
         
-        // Also remove any pairing in progress
-        devices.delete(`pairing_${deviceId}`);
+        // Don't reconnect it on next startup
+        forgetCredentials(deviceId);
         
-        console.log(`[${deviceId}] âœ" Unpaired and removed from bridge`);
-        console.log(`[${deviceId}] Note: Also clear pairing on TV to fully reset`);
+        bridgeLog.info('Unpaired and removed from bridge - also clear pairing on the TV to fully reset', { deviceId });
         
         res.json({
             success: true,
@@ -1193,27 +7146,26 @@ app.post('/unpair', async (req, res) => {
         });
         
     } catch (error) {
-        console.error('Unpair error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        bridgeLog.error('Unpair error', { deviceId: req.body.deviceId, error });
+        sendError(res, error);
     }
 });
 
 // List devices
 app.get('/devices', (req, res) => {
     const deviceList = Array.from(devices.entries())
-        .filter(([id]) => !id.startsWith('pairing_'))
         .map(([deviceId, state]) => ({
             deviceId: deviceId,
             host: state.host || 'unknown',
             connected: state.connected || false,
             powerState: state.powerState || 'unknown',
+            presence: describePresence(state),
             volume: state.volume || 0,
             muted: state.muted || false,
             currentApp: state.currentApp || 'unknown',
-            lastActivity: state.lastActivity || null
+            lastActivity: state.lastActivity || null,
+            connection: describeConnection(state),
+            queue: describeQueue(state)
         }));
     
     res.json({
@@ -1225,7 +7177,7 @@ app.get('/devices', (req, res) => {
 // Health check
 app.get('/health', (req, res) => {
     const connectedCount = Array.from(devices.values())
-        .filter(d => d.connected && !d.deviceId?.startsWith('pairing_'))
+        .filter(d => d.connected)
         .length;
     
     res.json({
@@ -1238,73 +7190,168 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Recent log records, oldest first. level is a minimum severity (warn = warn + error);
+// since is epoch ms or an ISO date
+app.get('/logs', validateRequest({
+    query: {
+        level: { type: 'string', enum: Object.keys(LOG_SEVERITY) },
+        since: { type: 'string' },
+        limit: { type: 'integer', min: 0, default: 200 }
+    },
+    check: (req) => req.query.since && Number.isNaN(Date.parse(req.query.since)) && !/^\d+$/.test(req.query.since)
+        ? 'since must be epoch milliseconds or an ISO date' : null
+}), (req, res) => {
+    const { deviceId, module, level, limit } = req.query;
+    const since = req.query.since ? (/^\d+$/.test(req.query.since) ? parseInt(req.query.since) : Date.parse(req.query.since)) : null;
+    
+    const logs = logBuffer.filter(record => (!deviceId || record.deviceId === deviceId)
+        && (!module || record.module === module)
+        && (!level || LOG_SEVERITY[record.level] <= LOG_SEVERITY[level])
+        && (since === null || record.timestamp >= since));
+    
+    res.json({
+        logs: limit > 0 ? logs.slice(-limit) : logs,
+        count: logs.length
+    });
+});
+
 // Test endpoint
 app.get('/test', (req, res) => {
     res.json({
         status: 'Bridge server is running',
         endpoints: {
-            pairing: ['/pair/start', '/pair/complete'],
-            connection: ['/connect', '/disconnect', '/status/:deviceId'],
-            commands: ['/key', '/app/launch', '/text'],
+            pairing: ['/pair/start', '/pair/complete', '/pair/restart', '/pair/cancel', '/pair/status/:deviceId'],
+            connection: ['/connect', '/disconnect', '/reconnect', '/status/:deviceId', '/presence/:deviceId'],
+            apps: ['/apps/:deviceId', '/apps/save', '/apps/:deviceId/:app'],
+            power: ['/power/:deviceId', '/power/on'],
+            profiles: ['/profiles', '/profile/:deviceId', '/profile/set', '/input', '/input/record', '/input/record/:deviceId/:input'],
+            commands: ['/key', '/app/launch', '/text', '/volume', '/batch', '/queue/:deviceId'],
             scenes: ['/scene/save', '/scene/execute', '/scenes'],
-            sync: ['/sync/create', '/sync/command', '/sync/groups'],
-            utility: ['/unpair', '/devices', '/health']
+            sync: ['/sync/create', '/sync/update', '/sync/command', '/sync/groups'],
+            webhooks: ['/webhook/register', '/webhooks', '/webhook/:webhookId'],
+            events: ['/events', '/events/:deviceId'],
+            history: ['/history/:deviceId', '/history/:deviceId/summary'],
+            parental: ['/parental/set', '/parental/:deviceId', '/parental/override', '/parental/override/:deviceId'],
+            discovery: ['/discover'],
+            scheduler: ['/schedule/create', '/schedule/update', '/schedules', '/schedule/:scheduleId', '/sleep-timer/set', '/sleep-timers', '/sleep-timer/:deviceId'],
+            utility: ['/unpair', '/devices', '/health', '/metrics', '/logs']
         }
     });
 });
 
+// Unknown routes get the same JSON error shape as everything else
+app.use((req, res) => {
+    sendError(res, new ApiError('NOT_FOUND', `No route for ${req.method} ${req.path}`));
+});
+
+// Malformed bodies (bad JSON, too large) and anything a route didn't catch
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, new ApiError('INVALID_REQUEST', `Malformed request body: ${err.message}`));
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, new ApiError('INVALID_REQUEST', 'Request body too large'));
+    }
+    httpLog.error(`Unhandled error on ${req.method} ${req.path}`, { error: err });
+    sendError(res, err);
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
-    console.log('='.repeat(70));
-    console.log('Android TV Remote Bridge Server v2.0');
-    console.log('='.repeat(70));
-    console.log(`Server running on port ${PORT}`);
-    console.log('');
-    console.log('Features:');
-    console.log('  âœ" Android TV Remote Protocol v2');
-    console.log('  âœ" TV State Feedback (power, volume, app)');
-    console.log('  âœ" Scenes/Presets Support');
-    console.log('  âœ" Multi-Room Audio Sync');
-    console.log('');
-    console.log('Endpoints:');
-    console.log(`  POST http://localhost:${PORT}/pair/start`);
-    console.log(`  POST http://localhost:${PORT}/pair/complete`);
-    console.log(`  POST http://localhost:${PORT}/connect`);
-    console.log(`  GET  http://localhost:${PORT}/status/:deviceId`);
-    console.log(`  POST http://localhost:${PORT}/key`);
-    console.log(`  POST http://localhost:${PORT}/scene/save`);
-    console.log(`  POST http://localhost:${PORT}/scene/execute`);
-    console.log(`  POST http://localhost:${PORT}/sync/create`);
-    console.log(`  POST http://localhost:${PORT}/sync/command`);
-    console.log(`  GET  http://localhost:${PORT}/health`);
-    console.log('');
-    console.log('Configure Hubitat driver to use this bridge:');
-    console.log(`  Bridge URL: http://YOUR_SERVER_IP:${PORT}`);
-    console.log('='.repeat(70));
+    printBanner('Android TV Remote Bridge Server v2.0', [
+        `Server running on port ${PORT}`,
+        '',
+        'Features:',
+        '  ✓ Android TV Remote Protocol v2',
+        '  ✓ TV State Feedback (power, volume, app)',
+        '  ✓ Scenes/Presets Support',
+        '  ✓ Multi-Room Audio Sync',
+        '',
+        'Endpoints:',
+        `  POST http://localhost:${PORT}/pair/start`,
+        `  POST http://localhost:${PORT}/pair/complete`,
+        `  POST http://localhost:${PORT}/pair/cancel`,
+        `  GET  http://localhost:${PORT}/pair/status/:deviceId`,
+        `  POST http://localhost:${PORT}/connect`,
+        `  POST http://localhost:${PORT}/reconnect`,
+        `  POST http://localhost:${PORT}/power/on`,
+        `  GET  http://localhost:${PORT}/status/:deviceId`,
+        `  GET  http://localhost:${PORT}/presence/:deviceId`,
+        `  POST http://localhost:${PORT}/key`,
+        `  POST http://localhost:${PORT}/volume`,
+        `  POST http://localhost:${PORT}/input`,
+        `  POST http://localhost:${PORT}/profile/set`,
+        `  GET  http://localhost:${PORT}/apps/:deviceId`,
+        `  GET  http://localhost:${PORT}/history/:deviceId`,
+        `  POST http://localhost:${PORT}/parental/set`,
+        `  POST http://localhost:${PORT}/batch`,
+        `  GET  http://localhost:${PORT}/queue/:deviceId`,
+        `  POST http://localhost:${PORT}/scene/save`,
+        `  POST http://localhost:${PORT}/scene/execute`,
+        `  POST http://localhost:${PORT}/sync/create`,
+        `  POST http://localhost:${PORT}/sync/update`,
+        `  POST http://localhost:${PORT}/sync/command`,
+        `  POST http://localhost:${PORT}/webhook/register`,
+        `  GET  http://localhost:${PORT}/events/:deviceId`,
+        `  GET  http://localhost:${PORT}/discover`,
+        `  POST http://localhost:${PORT}/schedule/create`,
+        `  POST http://localhost:${PORT}/sleep-timer/set`,
+        `  GET  http://localhost:${PORT}/health`,
+        `  GET  http://localhost:${PORT}/metrics`,
+        `  GET  http://localhost:${PORT}/logs`,
+        '',
+        'Configure Hubitat driver to use this bridge:',
+        `  Bridge URL: http://YOUR_SERVER_IP:${PORT}`
+    ]);
+    
+    // Arm schedules once stored TVs had their chance to reconnect, so overdue jobs can run
+    reconnectKnownDevices().then(startScheduler);
+    startBackgroundDiscovery();
+    startParentalChecks();
+    startPresenceProbing();
+    startHistoryCheckpoints();
 });
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n\nShutting down...');
+async function shutdown() {
+    bridgeLog.info('Shutting down...');
     
     // Stop all state polling
     for (const [deviceId] of devices.entries()) {
-        if (!deviceId.startsWith('pairing_')) {
-            stopStatePolling(deviceId);
+        stopStatePolling(deviceId);
+    }
+    
+    // End open usage history segments now rather than at their last state update
+    for (const timeline of usageHistory.values()) {
+        const last = timeline[timeline.length - 1];
+        if (last && last.end === null) {
+            closeSegment(last, Date.now(), 'bridge-stopped');
+        }
+    }
+    saveHistory();
+    flushPendingSaves();
+    
+    // Abandon any pairing in progress
+    for (const session of pairingSessions.values()) {
+        if (isPairingActive(session)) {
+            endPairingSession(session, 'cancelled', 'Bridge shutting down');
         }
     }
     
     // Disconnect all devices
     for (const [deviceId, state] of devices.entries()) {
-        if (!deviceId.startsWith('pairing_') && state.remote) {
+        if (state.remote) {
             try {
-                console.log(`Disconnecting ${deviceId}`);
+                bridgeLog.info('Disconnecting', { deviceId });
                 await state.remote.stop();
             } catch (error) {
-                console.error(`Error disconnecting ${deviceId}:`, error);
+                bridgeLog.error('Error disconnecting', { deviceId, error });
             }
         }
     }
     
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);